@@ -5,20 +5,54 @@ export const SHOULD_ANIMATE_OVERLAY = true;
 export const SHOULD_OUTSIDE_CLICK_CLOSE = true;
 export const ALLOW_KEYBOARD_CONTROL = true;
 export const SHOULD_OUTSIDE_CLICK_NEXT = false;
+export const SHOULD_WAIT_FOR_ELEMENT = false;
+export const WAIT_FOR_ELEMENT_TIMEOUT_MS = 5000;
+export const SHOULD_PERSIST_PROGRESS = false;
+export const SHOULD_RESTORE_SCROLL = false;
+export const SHOULD_DISABLE_ACTIVE_INTERACTION = false;
+export const OVERLAY_MODE = 'stage';
+export const STAGE_RADIUS = 2;
+export const STAGE_SHAPE = 'rect';
+export const BEACON_POSITION = 'top-right';
 
-export const ESC_KEY_CODE = 27;
-export const LEFT_KEY_CODE = 37;
-export const RIGHT_KEY_CODE = 39;
+// Separates the selectors of the shadow hosts and the element e.g. `my-app >>> button.save`
+export const SHADOW_SELECTOR_SEPARATOR = '>>>';
+
+// Prefix for the key under which tour progress is stored
+export const STORAGE_KEY_PREFIX = 'driver.js:';
+
+// Keys for the actions, matched against `KeyboardEvent.key`
+export const DEFAULT_KEYMAP = {
+  next: ['ArrowRight'],
+  previous: ['ArrowLeft'],
+  close: ['Escape'],
+};
+
+// Non-standard key names used by older browsers
+export const KEY_ALIASES = {
+  Esc: 'Escape',
+  Left: 'ArrowLeft',
+  Right: 'ArrowRight',
+  Up: 'ArrowUp',
+  Down: 'ArrowDown',
+  Spacebar: ' ',
+};
 
 export const ID_OVERLAY = 'driver-page-overlay';
 export const ID_STAGE = 'driver-highlighted-element-stage';
 export const ID_POPOVER = 'driver-popover-item';
+export const ID_POPOVER_TITLE = 'driver-popover-title';
+export const ID_POPOVER_DESCRIPTION = 'driver-popover-description';
+export const ID_LIVE_REGION = 'driver-live-region';
+export const ID_SVG_OVERLAY = 'driver-svg-overlay';
+export const ID_SHIELD = 'driver-interaction-shield';
 
 export const CLASS_DRIVER_HIGHLIGHTED_ELEMENT = 'driver-highlighted-element';
 export const CLASS_POSITION_RELATIVE = 'driver-position-relative';
 export const CLASS_FIX_STACKING_CONTEXT = 'driver-fix-stacking';
 
 export const CLASS_STAGE_NO_ANIMATION = 'driver-stage-no-animation';
+export const CLASS_EXTRA_STAGE = 'driver-extra-stage';
 export const CLASS_POPOVER_TIP = 'driver-popover-tip';
 export const CLASS_POPOVER_TITLE = 'driver-popover-title';
 export const CLASS_POPOVER_DESCRIPTION = 'driver-popover-description';
@@ -29,24 +63,119 @@ export const CLASS_PREV_STEP_BTN = 'driver-prev-btn';
 export const CLASS_BTN_DISABLED = 'driver-disabled';
 export const CLASS_CLOSE_ONLY_BTN = 'driver-close-only-btn';
 export const CLASS_NAVIGATION_BTNS = 'driver-navigation-btns';
+export const CLASS_SCREEN_READER_ONLY = 'driver-sr-only';
+export const CLASS_POPOVER_PROGRESS = 'driver-popover-progress';
+export const CLASS_POPOVER_CUSTOM = 'driver-popover-custom';
+export const CLASS_POPOVER_HINT = 'driver-popover-hint';
+export const CLASS_BEACON = 'driver-beacon';
+export const CLASS_BEACON_POPOVER = 'driver-beacon-popover';
+export const CLASS_CUSTOM_BTN = 'driver-custom-btn';
+export const CLASS_CUSTOM_BTNS_LEFT = 'driver-custom-btns-left';
+export const CLASS_CUSTOM_BTNS_RIGHT = 'driver-custom-btns-right';
+export const CLASS_PROGRESS_DOT = 'driver-progress-dot';
+export const CLASS_PROGRESS_DOT_ACTIVE = 'driver-progress-dot-active';
+export const CLASS_PROGRESS_BAR = 'driver-progress-bar';
+
+// Nodes that can receive the focus when tabbing
+export const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// NOTE: It must match the size of the popover tip in CSS file
+export const POPOVER_TIP_SIZE = 10;
+
+// Placements tried in order when positioning the popover automatically
+export const POPOVER_PLACEMENTS = [
+  'bottom',
+  'bottom-center',
+  'bottom-right',
+  'top',
+  'top-center',
+  'top-right',
+  'right',
+  'right-center',
+  'right-bottom',
+  'left',
+  'left-center',
+  'left-bottom',
+];
+
+// Positions of the beacon on the element i.e. `vertical-horizontal`
+export const BEACON_POSITIONS = [
+  'top-left',
+  'top-center',
+  'top-right',
+  'center-left',
+  'center',
+  'center-right',
+  'bottom-left',
+  'bottom-center',
+  'bottom-right',
+];
+
+// Older names of the placements
+export const POPOVER_PLACEMENT_ALIASES = {
+  'left-top': 'left',
+  'right-top': 'right',
+  'top-left': 'top',
+  'bottom-left': 'bottom',
+};
 
 // NOTE: It must match the one set in the animations in CSS file
 export const ANIMATION_DURATION_MS = 300;
 
 // language=HTML
-export const POPOVER_HTML = (className = '') => `
-  <div id="${ID_POPOVER}" class="${className}">
-    <div class="${CLASS_POPOVER_TIP}"></div>
-    <div class="${CLASS_POPOVER_TITLE}">Popover Title</div>
-    <div class="${CLASS_POPOVER_DESCRIPTION}">Popover Description</div>
+export const POPOVER_HTML = (className = '', idSuffix = '', isModal = true) => `
+  <div id="${ID_POPOVER}${idSuffix}" class="${className}" role="dialog" aria-modal="${isModal}" aria-labelledby="${ID_POPOVER_TITLE}${idSuffix}" aria-describedby="${ID_POPOVER_DESCRIPTION}${idSuffix}" tabindex="-1">
+    <div class="${CLASS_POPOVER_TIP}" aria-hidden="true"></div>
+    <div id="${ID_POPOVER_TITLE}${idSuffix}" class="${CLASS_POPOVER_TITLE}">Popover Title</div>
+    <div id="${ID_POPOVER_DESCRIPTION}${idSuffix}" class="${CLASS_POPOVER_DESCRIPTION}">Popover Description</div>
+    <div class="${CLASS_POPOVER_HINT}" role="status"></div>
     <div class="driver-clearfix ${CLASS_POPOVER_FOOTER}">
-      <button class="${CLASS_CLOSE_BTN}">Close</button>
+      <div class="${CLASS_POPOVER_PROGRESS}"></div>
+      <button type="button" class="${CLASS_CLOSE_BTN}">Close</button>
+      <span class="${CLASS_CUSTOM_BTNS_LEFT}"></span>
       <span class="driver-btn-group ${CLASS_NAVIGATION_BTNS}">
-        <button class="${CLASS_PREV_STEP_BTN}">&larr; Previous</button>
-        <button class="${CLASS_NEXT_STEP_BTN}">Next &rarr;</button>
+        <button type="button" class="${CLASS_PREV_STEP_BTN}">&larr; Previous</button>
+        <button type="button" class="${CLASS_NEXT_STEP_BTN}">Next &rarr;</button>
       </span>
+      <span class="${CLASS_CUSTOM_BTNS_RIGHT}"></span>
     </div>
   </div>`;
 
+// language=HTML
+export const CUSTOM_BTN_HTML = (buttonIndex, text, className = '') => `
+  <button type="button" class="${CLASS_CUSTOM_BTN} ${className}" data-button-index="${buttonIndex}">${text}</button>`;
+
+// language=HTML
+export const PROGRESS_DOT_HTML = (stepIndex, stepNumber, isActive) => `
+  <button type="button" class="${CLASS_PROGRESS_DOT} ${isActive ? CLASS_PROGRESS_DOT_ACTIVE : ''}" data-step-index="${stepIndex}" aria-label="Go to step ${stepNumber}"></button>`;
+
+// language=HTML
+export const PROGRESS_BAR_HTML = (current, total, text) => `
+  <div class="${CLASS_PROGRESS_BAR}" role="progressbar" aria-valuemin="1" aria-valuemax="${total}" aria-valuenow="${current}" aria-valuetext="${text}">
+    <div style="width: ${(current / total) * 100}%"></div>
+  </div>`;
+
+export const LIVE_REGION_HTML = `<div id="${ID_LIVE_REGION}" class="${CLASS_SCREEN_READER_ONLY}" role="status" aria-live="polite" aria-atomic="true"></div>`;
 export const OVERLAY_HTML = `<div id="${ID_OVERLAY}"></div>`;
 export const STAGE_HTML = `<div id="${ID_STAGE}"></div>`;
+export const SHIELD_HTML = `<div id="${ID_SHIELD}"></div>`;
+export const BEACON_HTML = label => `<button type="button" class="${CLASS_BEACON}" aria-label="${label}" aria-expanded="false"></button>`;
+
+// language=HTML
+export const SVG_OVERLAY_HTML = `
+  <svg id="${ID_SVG_OVERLAY}" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+    <path fill-rule="evenodd"></path>
+  </svg>`;
+
+// Stages behind the rest of the elements when a step highlights several elements separately
+export const EXTRA_STAGE_HTML = stageIndex => `<div id="${ID_STAGE}-${stageIndex}" class="${CLASS_EXTRA_STAGE}"></div>`;
@@ -0,0 +1,50 @@
+/**
+ * Storage adapter that keeps the items in memory. Has the same
+ * interface as `localStorage`; useful in tests or when the
+ * progress doesn't need to survive page reloads
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = {};
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string|null}
+   * @public
+   */
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @public
+   */
+  setItem(key, value) {
+    this.items[key] = `${value}`;
+  }
+
+  /**
+   * @param {string} key
+   * @public
+   */
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+/**
+ * Gets the local storage of the given window if it is accessible. Accessing
+ * it throws in some browsers e.g. when cookies are disabled
+ * @param {Window} window
+ * @returns {Storage|null}
+ */
+export const getLocalStorage = (window) => {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    return null;
+  }
+};
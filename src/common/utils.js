@@ -1,3 +1,5 @@
+import { SHADOW_SELECTOR_SEPARATOR } from './constants';
+
 /**
  * Turn a string into a node
  * @param  {String} htmlString to convert
@@ -11,6 +13,31 @@ export const createNodeFromString = (htmlString) => {
   return div.firstChild;
 };
 
+/**
+ * Turns the padding given as a number or as an object
+ * with any of the sides into the padding for each side
+ * @param {number|Object} padding
+ * @return {{top: number, right: number, bottom: number, left: number}}
+ */
+export const normalizePadding = (padding = 0) => {
+  if (typeof padding === 'object' && padding) {
+    return {
+      top: padding.top || 0,
+      right: padding.right || 0,
+      bottom: padding.bottom || 0,
+      left: padding.left || 0,
+    };
+  }
+
+  const sidePadding = padding || 0;
+  return {
+    top: sidePadding,
+    right: sidePadding,
+    bottom: sidePadding,
+    left: sidePadding,
+  };
+};
+
 /**
  * Gets the CSS property from the given element
  * @param {HTMLElement|Node} element
@@ -54,3 +81,224 @@ export const getStyleProperty = (element, propertyName, prefixVendor = false) =>
 export const isDomElement = function (element) {
   return element && typeof element === 'object' && 'nodeType' in element;
 };
+
+/**
+ * Gets the visible nodes inside the given node that can receive the focus
+ * @param {HTMLElement} node
+ * @param {string} selector Selector for the focusable nodes
+ * @returns {HTMLElement[]}
+ */
+export const getFocusableNodes = (node, selector) => {
+  const focusable = [];
+  if (!node || !node.querySelectorAll) {
+    return focusable;
+  }
+
+  const candidates = [node].concat(Array.prototype.slice.call(node.querySelectorAll(selector)));
+  for (let counter = 0; counter < candidates.length; counter++) {
+    const candidate = candidates[counter];
+    const isFocusable = candidate.matches ? candidate.matches(selector) : candidate.msMatchesSelector(selector);
+
+    // Hidden nodes i.e. `display: none` don't have any client rects
+    if (isFocusable && candidate.getClientRects().length > 0) {
+      focusable.push(candidate);
+    }
+  }
+
+  return focusable;
+};
+
+/**
+ * Gets the document loaded in the given iframe
+ * @param {HTMLIFrameElement} frame
+ * @returns {Document|null} Null if the frame is not loaded or is from another origin
+ */
+export const getFrameDocument = (frame) => {
+  try {
+    return frame.contentDocument || (frame.contentWindow && frame.contentWindow.document) || null;
+  } catch (e) {
+    // Accessing the documents of other origins throws
+    return null;
+  }
+};
+
+/**
+ * Gets the parent element of the given node, the shadow host for the
+ * top level nodes in shadow roots
+ * @param {Node} node
+ * @returns {HTMLElement|null}
+ */
+export const getParentElement = (node) => {
+  if (node.parentElement) {
+    return node.parentElement;
+  }
+
+  return (node.parentNode && node.parentNode.host) || null;
+};
+
+/**
+ * Gets the ancestors of the given node which scroll their overflowing content
+ * @param {HTMLElement|Node} node
+ * @returns {HTMLElement[]} Nearest ancestor first
+ */
+export const getScrollableAncestors = (node) => {
+  const ancestors = [];
+
+  let parentNode = getParentElement(node);
+  while (parentNode && parentNode.tagName && !/^(body|html)$/i.test(parentNode.tagName)) {
+    const overflow = [
+      getStyleProperty(parentNode, 'overflow'),
+      getStyleProperty(parentNode, 'overflow-x'),
+      getStyleProperty(parentNode, 'overflow-y'),
+    ].join(' ');
+
+    if (/(auto|scroll|overlay)/.test(overflow)) {
+      ancestors.push(parentNode);
+    }
+
+    parentNode = getParentElement(parentNode);
+  }
+
+  return ancestors;
+};
+
+/**
+ * Checks if the user can type in the given node
+ * @param {HTMLElement} node
+ * @returns {boolean}
+ */
+export const isEditableNode = (node) => {
+  if (!node || !node.tagName) {
+    return false;
+  }
+
+  const tagName = node.tagName.toLowerCase();
+  return tagName === 'input' || tagName === 'textarea' || tagName === 'select' || !!node.isContentEditable;
+};
+
+/**
+ * Checks if the passed value is a promise or a promise-like object
+ * @param value
+ * @returns {boolean}
+ */
+export const isThenable = function (value) {
+  return !!value && typeof value.then === 'function';
+};
+
+/**
+ * Checks if the page currently open in the window is the given URL. A string
+ * is compared by host, path and query string (if given) while a regular
+ * expression is tested against the whole URL
+ * @param {string|RegExp} url
+ * @param {Window} window
+ * @returns {boolean}
+ */
+export const isCurrentUrl = (url, window) => {
+  const location = window.location;
+  if (url instanceof RegExp) {
+    return url.test(location.href);
+  }
+
+  // Let the browser resolve the relative URLs for us
+  const link = window.document.createElement('a');
+  link.href = url;
+
+  // Old IE drops the leading slash from the pathname
+  const pathname = link.pathname.replace(/^\/?/, '/');
+
+  return link.host === location.host
+    && pathname === location.pathname
+    && (!link.search || link.search === location.search);
+};
+
+/**
+ * Checks if the passed step is a step definition rather
+ * than a query selector or a DOM element
+ * @param step
+ * @returns {boolean}
+ */
+export const isStepDefinition = function (step) {
+  return typeof step !== 'string' && !Array.isArray(step) && !isDomElement(step);
+};
+
+/**
+ * Finds the node for the given selector, piercing through the open shadow roots
+ * @param {Document|Node} root Node to start the search from
+ * @param {string|string[]} selector Selectors of the shadow hosts followed by the selector
+ * of the element, either as an array or separated by `>>>` e.g. `my-app >>> button.save`
+ * @returns {HTMLElement|null}
+ */
+export const querySelectorDeep = (root, selector) => {
+  const selectors = Array.isArray(selector) ? selector : selector.split(SHADOW_SELECTOR_SEPARATOR);
+
+  let node = null;
+  let scope = root;
+  for (let counter = 0; counter < selectors.length; counter++) {
+    // Closed shadow roots are not accessible
+    if (!scope) {
+      return null;
+    }
+
+    node = scope.querySelector(selectors[counter].trim());
+    if (!node) {
+      return null;
+    }
+
+    scope = node.shadowRoot;
+  }
+
+  return node;
+};
+
+/**
+ * Gets the node that the event originated from, even if it is inside a shadow root
+ * @param {Event} event
+ * @returns {Node}
+ */
+export const getEventTarget = (event) => {
+  const path = event.composedPath ? event.composedPath() : [];
+  return path[0] || event.target;
+};
+
+/**
+ * Waits for the node returned by `findNode` to be available in the document
+ * and calls the callback with it, or with null once the timeout is over
+ * @param {Function} findNode  Returns the node or null if not there yet
+ * @param {number} timeout     Milliseconds to wait before giving up
+ * @param {Window} window
+ * @param {Document} document
+ * @param {Function} callback
+ * @return {Function} Function to cancel the wait
+ */
+export const waitForNode = (findNode, timeout, window, document, callback) => {
+  let observer = null;
+  let timer = null;
+
+  const stop = () => {
+    window.clearTimeout(timer);
+    if (observer) {
+      observer.disconnect();
+    }
+  };
+
+  observer = new window.MutationObserver(() => {
+    const node = findNode();
+    if (node) {
+      stop();
+      callback(node);
+    }
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+  });
+
+  timer = window.setTimeout(() => {
+    stop();
+    callback(null);
+  }, timeout);
+
+  return stop;
+};
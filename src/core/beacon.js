@@ -0,0 +1,236 @@
+import {
+  BEACON_HTML,
+  CLASS_CLOSE_BTN,
+  CLASS_CUSTOM_BTN,
+} from '../common/constants';
+import { createNodeFromString, getEventTarget } from '../common/utils';
+
+/**
+ * Pulsing marker on an element that opens a popover anchored to the
+ * element when clicked. Unlike the steps, it doesn't cover the page so
+ * the user can keep using it, and several beacons can be shown at once
+ */
+export default class Beacon {
+  /**
+   * @param {Element} element Element the beacon is attached to
+   * @param {Popover} popover Popover opened by the beacon, if any
+   * @param {Object} options
+   * @param {Driver} driver Driver that added the beacon
+   * @param {Window} window
+   * @param {Document} document
+   */
+  constructor({
+    element,
+    popover = null,
+    options,
+    driver = null,
+    window,
+    document,
+  } = {}) {
+    this.element = element;
+    this.popover = popover;
+    this.options = options;
+    this.driver = driver;
+    this.window = window;
+    this.document = document;
+    this.node = null;
+    this.isOpen = false;
+    this.repositionFrame = null;
+
+    this.toggle = this.toggle.bind(this);
+    this.scheduleReposition = this.scheduleReposition.bind(this);
+    this.onPopoverClick = this.onPopoverClick.bind(this);
+    this.onOutsideClick = this.onOutsideClick.bind(this);
+  }
+
+  /**
+   * Adds the marker to the page and keeps it on the element
+   * @public
+   */
+  show() {
+    if (!this.node) {
+      this.node = createNodeFromString(BEACON_HTML(this.options.beaconLabel));
+      this.node.addEventListener('click', this.toggle, false);
+      this.document.body.appendChild(this.node);
+    }
+
+    this.window.addEventListener('resize', this.scheduleReposition, false);
+    this.element.getScrollableAncestors()
+      .forEach(ancestor => ancestor.addEventListener('scroll', this.scheduleReposition, false));
+
+    this.reposition();
+  }
+
+  /**
+   * Opens the popover if closed, closes it otherwise
+   * @public
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Opens the popover anchored to the element
+   * @public
+   */
+  open() {
+    if (!this.node || !this.popover || this.isOpen) {
+      return;
+    }
+
+    this.isOpen = true;
+    this.popover.show(this.element.getCalculatedPosition());
+
+    this.popover.node.addEventListener('click', this.onPopoverClick, false);
+    this.node.setAttribute('aria-expanded', 'true');
+    this.window.addEventListener('click', this.onOutsideClick, false);
+
+    if (this.options.onOpen) {
+      this.options.onOpen(this);
+    }
+  }
+
+  /**
+   * Closes the popover, the beacon stays on the element
+   * @public
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.popover.hide();
+    this.node.setAttribute('aria-expanded', 'false');
+    this.window.removeEventListener('click', this.onOutsideClick, false);
+
+    if (this.options.onClose) {
+      this.options.onClose(this);
+    }
+  }
+
+  /**
+   * Removes the beacon and its popover for good
+   * @public
+   */
+  dismiss() {
+    if (!this.node) {
+      return;
+    }
+
+    this.close();
+
+    this.window.removeEventListener('resize', this.scheduleReposition, false);
+    this.element.getScrollableAncestors()
+      .forEach(ancestor => ancestor.removeEventListener('scroll', this.scheduleReposition, false));
+    this.window.cancelAnimationFrame(this.repositionFrame);
+    this.repositionFrame = null;
+
+    [this.node, this.popover && this.popover.node]
+      .filter(node => node && node.parentElement)
+      .forEach(node => node.parentElement.removeChild(node));
+
+    this.node = null;
+
+    if (this.driver) {
+      this.driver.removeBeacon(this);
+    }
+
+    if (this.options.onDismiss) {
+      this.options.onDismiss(this);
+    }
+  }
+
+  /**
+   * Closes the popover on the clicks outside of it and the beacon
+   * @param {MouseEvent} event
+   * @private
+   */
+  onOutsideClick(event) {
+    const target = getEventTarget(event);
+    if (this.node.contains(target) || this.popover.node.contains(target)) {
+      return;
+    }
+
+    this.close();
+  }
+
+  /**
+   * Dismisses the beacon on close and calls the handlers of the custom buttons
+   * @param {MouseEvent} event
+   * @private
+   */
+  onPopoverClick(event) {
+    const target = getEventTarget(event);
+    if (!target.closest) {
+      return;
+    }
+
+    const clickedButton = target.closest(`.${CLASS_CUSTOM_BTN}`);
+    const button = clickedButton
+      ? this.popover.getButton(parseInt(clickedButton.getAttribute('data-button-index'), 10))
+      : null;
+
+    if (button && button.onClick) {
+      button.onClick({
+        beacon: this,
+        element: this.element,
+        button,
+        event,
+      });
+    } else if (target.closest(`.${CLASS_CLOSE_BTN}`)) {
+      this.dismiss();
+    }
+  }
+
+  /**
+   * Repositions on the next frame no matter how many times
+   * it is called until then e.g. for every scroll event
+   * @private
+   */
+  scheduleReposition() {
+    if (this.repositionFrame) {
+      return;
+    }
+
+    this.repositionFrame = this.window.requestAnimationFrame(() => {
+      this.repositionFrame = null;
+      this.reposition();
+    });
+  }
+
+  /**
+   * Moves the beacon and the open popover to where the element currently is
+   * @public
+   */
+  reposition() {
+    if (!this.node) {
+      return;
+    }
+
+    const position = this.element.getCalculatedPosition();
+    const [vertical, horizontal = vertical] = this.options.beaconPosition.split('-');
+
+    const left = {
+      left: position.left,
+      center: (position.left + position.right) / 2,
+      right: position.right,
+    };
+    const top = {
+      top: position.top,
+      center: (position.top + position.bottom) / 2,
+      bottom: position.bottom,
+    };
+
+    this.node.style.left = `${left[horizontal]}px`;
+    this.node.style.top = `${top[vertical]}px`;
+
+    if (this.isOpen) {
+      this.popover.reposition(position);
+    }
+  }
+}
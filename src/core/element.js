@@ -1,12 +1,34 @@
 import {
   ANIMATION_DURATION_MS,
+  CLASS_BEACON,
+  CLASS_BEACON_POPOVER,
   CLASS_DRIVER_HIGHLIGHTED_ELEMENT,
+  CLASS_EXTRA_STAGE,
   CLASS_FIX_STACKING_CONTEXT,
   CLASS_POSITION_RELATIVE,
+  ID_LIVE_REGION,
+  ID_OVERLAY,
+  ID_POPOVER,
+  ID_SHIELD,
+  ID_STAGE,
+  ID_SVG_OVERLAY,
 } from '../common/constants';
-import { getStyleProperty } from '../common/utils';
+import { getScrollableAncestors, getStyleProperty } from '../common/utils';
 import Position from './position';
 
+// Nodes added by the driver itself, changes in them don't move the element
+const DRIVER_NODES_SELECTOR = [
+  `#${ID_OVERLAY}`,
+  `#${ID_STAGE}`,
+  `.${CLASS_EXTRA_STAGE}`,
+  `#${ID_POPOVER}`,
+  `#${ID_LIVE_REGION}`,
+  `#${ID_SVG_OVERLAY}`,
+  `#${ID_SHIELD}`,
+  `.${CLASS_BEACON}`,
+  `.${CLASS_BEACON_POPOVER}`,
+].join(', ');
+
 /**
  * Wrapper around DOMElements to enrich them
  * with the functionality necessary
@@ -15,30 +37,54 @@ export default class Element {
   /**
    * DOM element object
    * @param {Node|HTMLElement} node
+   * @param {Array<Node|HTMLElement>} nodes All the highlighted nodes, if several
+   * @param {HTMLIFrameElement} frame Iframe that the node is inside of, if any
    * @param {Object} options
    * @param {Popover} popover
    * @param {Stage} stage
+   * @param {Array<Stage>} extraStages Stages behind the rest of the nodes, if highlighted separately
+   * @param {Shield} shield Keeps the interactions from reaching the nodes, if disabled
    * @param {Overlay} overlay
+   * @param {Emitter} emitter
    * @param {Window} window
    * @param {Document} document
    */
   constructor({
     node,
+    nodes = null,
+    frame = null,
     options,
     popover,
     stage,
+    extraStages = [],
+    shield = null,
     overlay,
+    emitter,
     window,
     document,
   } = {}) {
     this.node = node;
+    this.nodes = nodes || (node ? [node] : []);
+    this.frame = frame;
     this.document = document;
     this.window = window;
     this.options = options;
     this.overlay = overlay;
+    this.emitter = emitter;
     this.popover = popover;
     this.stage = stage;
+    this.extraStages = extraStages;
+    this.shield = shield;
     this.animationTimeout = null;
+    this.resolveAnimation = () => null;
+    this.scrollableAncestors = null;
+    this.repositionFrame = null;
+    this.lastPosition = null;
+    this.resizeObserver = null;
+    this.mutationObserver = null;
+
+    this.scheduleReposition = this.scheduleReposition.bind(this);
+    this.onMutation = this.onMutation.bind(this);
   }
 
   /**
@@ -47,6 +93,10 @@ export default class Element {
    * @public
    */
   isInView() {
+    if (this.frame) {
+      return this.isInFrameView() && this.isInAncestorsView();
+    }
+
     let top = this.node.offsetTop;
     let left = this.node.offsetLeft;
     const width = this.node.offsetWidth;
@@ -60,12 +110,86 @@ export default class Element {
       left += el.offsetLeft;
     }
 
-    return (
+    const isInWindowView = (
       top >= this.window.pageYOffset
       && left >= this.window.pageXOffset
       && (top + height) <= (this.window.pageYOffset + this.window.innerHeight)
       && (left + width) <= (this.window.pageXOffset + this.window.innerWidth)
     );
+
+    return isInWindowView && this.isInAncestorsView();
+  }
+
+  /**
+   * Checks if the element is visible in its iframe and the iframe part is visible in the viewport
+   * @returns {boolean}
+   * @private
+   */
+  isInFrameView() {
+    const nodeRect = this.node.getBoundingClientRect();
+    const frameOffset = this.getFrameOffset();
+
+    const frameViewport = new Position({ right: this.frame.clientWidth, bottom: this.frame.clientHeight });
+    const windowViewport = new Position({ right: this.window.innerWidth, bottom: this.window.innerHeight });
+    const positionInWindow = new Position({
+      top: nodeRect.top + frameOffset.top,
+      left: nodeRect.left + frameOffset.left,
+      right: nodeRect.right + frameOffset.left,
+      bottom: nodeRect.bottom + frameOffset.top,
+    });
+
+    return new Position(nodeRect).isInside(frameViewport) && positionInWindow.isInside(windowViewport);
+  }
+
+  /**
+   * Gets the distance of the iframe content from the top left of the viewport
+   * @returns {{top: number, left: number}}
+   * @private
+   */
+  getFrameOffset() {
+    if (!this.frame) {
+      return { top: 0, left: 0 };
+    }
+
+    const frameRect = this.frame.getBoundingClientRect();
+
+    // Content of the iframe starts after its borders
+    return {
+      top: frameRect.top + this.frame.clientTop,
+      left: frameRect.left + this.frame.clientLeft,
+    };
+  }
+
+  /**
+   * Checks if the element is not scrolled out of any of its scrollable ancestors
+   * @returns {boolean}
+   * @private
+   */
+  isInAncestorsView() {
+    const elementPosition = new Position(this.node.getBoundingClientRect());
+    const ancestors = this.getScrollableAncestors();
+
+    for (let counter = 0; counter < ancestors.length; counter++) {
+      const ancestorPosition = new Position(ancestors[counter].getBoundingClientRect());
+      if (!elementPosition.isInside(ancestorPosition)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets the ancestors of the element which can be scrolled, nearest first
+   * @returns {HTMLElement[]}
+   * @public
+   */
+  getScrollableAncestors() {
+    if (!this.scrollableAncestors) {
+      this.scrollableAncestors = this.node ? getScrollableAncestors(this.node) : [];
+    }
+
+    return this.scrollableAncestors;
   }
 
   /**
@@ -73,6 +197,17 @@ export default class Element {
    * @private
    */
   scrollManually() {
+    // Bring the element to the middle of each of the scrollable ancestors first
+    const ancestors = this.getScrollableAncestors();
+    for (let counter = 0; counter < ancestors.length; counter++) {
+      const ancestor = ancestors[counter];
+      const ancestorRect = ancestor.getBoundingClientRect();
+      const nodeRect = this.node.getBoundingClientRect();
+
+      ancestor.scrollTop += (nodeRect.top - ancestorRect.top) - ((ancestor.clientHeight - nodeRect.height) / 2);
+      ancestor.scrollLeft += (nodeRect.left - ancestorRect.left) - ((ancestor.clientWidth - nodeRect.width) / 2);
+    }
+
     const elementRect = this.node.getBoundingClientRect();
     const absoluteElementTop = elementRect.top + this.window.pageYOffset;
     const middle = absoluteElementTop - (this.window.innerHeight / 2);
@@ -109,24 +244,50 @@ export default class Element {
 
   /**
    * Gets the calculated position on screen, around which
-   * we need to draw
+   * we need to draw i.e. around all of the nodes if there are several
    * @public
    * @return {Position}
    */
   getCalculatedPosition() {
+    const nodePositions = this.getNodePositions();
+    const visiblePositions = nodePositions.filter(position => position.canHighlight());
+    const positions = visiblePositions.length > 0 ? visiblePositions : nodePositions;
+
+    return new Position({
+      top: Math.min(...positions.map(position => position.top)),
+      left: Math.min(...positions.map(position => position.left)),
+      right: Math.max(...positions.map(position => position.right)),
+      bottom: Math.max(...positions.map(position => position.bottom)),
+    });
+  }
+
+  /**
+   * Gets the positions of each of the highlighted nodes on the page
+   * @private
+   * @return {Position[]}
+   */
+  getNodePositions() {
     const body = this.document.body;
     const documentElement = this.document.documentElement;
     const window = this.window;
 
     const scrollTop = this.window.pageYOffset || documentElement.scrollTop || body.scrollTop;
     const scrollLeft = window.pageXOffset || documentElement.scrollLeft || body.scrollLeft;
-    const elementRect = this.node.getBoundingClientRect();
 
-    return new Position({
-      top: elementRect.top + scrollTop,
-      left: elementRect.left + scrollLeft,
-      right: elementRect.left + scrollLeft + elementRect.width,
-      bottom: elementRect.top + scrollTop + elementRect.height,
+    // Rects of the nodes inside iframes are relative to the iframe
+    const frameOffset = this.getFrameOffset();
+
+    return this.nodes.map((node) => {
+      const nodeRect = node.getBoundingClientRect();
+      const top = nodeRect.top + frameOffset.top + scrollTop;
+      const left = nodeRect.left + frameOffset.left + scrollLeft;
+
+      return new Position({
+        top,
+        left,
+        right: left + nodeRect.width,
+        bottom: top + nodeRect.height,
+      });
     });
   }
 
@@ -147,18 +308,42 @@ export default class Element {
   onDeselected(hideStage = false) {
     this.hidePopover();
 
+    // Stages of the other nodes don't move over to the next element
+    this.extraStages.forEach(stage => stage.hide());
+    if (this.shield) {
+      this.shield.hide();
+    }
+
     if (hideStage) {
       this.hideStage();
     }
 
     this.removeHighlightClasses();
 
+    this.unbindAncestorScroll();
+    this.unobserveChanges();
+
     // If there was any animation in progress, cancel that
     this.window.clearTimeout(this.animationTimeout);
+    this.resolveAnimation();
 
     if (this.options.onDeselected) {
       this.options.onDeselected(this);
     }
+
+    this.emit('deselected');
+  }
+
+  /**
+   * Checks if the given event happened on the element, also when
+   * the element is inside a shadow root and the event was retargeted
+   * @param {Event} event
+   * @returns {boolean}
+   * @public
+   */
+  containsEvent(event) {
+    const path = event.composedPath ? event.composedPath() : [];
+    return this.nodes.some(node => path.indexOf(node) !== -1 || node.contains(event.target));
   }
 
   /**
@@ -172,25 +357,41 @@ export default class Element {
       return false;
     }
 
-    return element.node === this.node;
+    if (element.nodes.length !== this.nodes.length) {
+      return false;
+    }
+
+    return element.nodes.every((node, index) => node === this.nodes[index]);
   }
 
   /**
    * Is called when the element is about to be highlighted
+   * @returns {*} Value returned by the `onHighlightStarted` callback
    * @public
    */
   onHighlightStarted() {
+    this.emit('highlightStarted');
+
     if (this.options.onHighlightStarted) {
-      this.options.onHighlightStarted(this);
+      return this.options.onHighlightStarted(this);
     }
+
+    return null;
   }
 
   /**
    * Is called when the element has been successfully highlighted
+   * @returns {Promise} Resolves once the popover and stage are shown
    * @public
    */
   onHighlighted() {
     const highlightedElement = this;
+
+    // Remember where the page and containers were scrolled before we scroll them
+    if (this.overlay) {
+      this.overlay.rememberScrollPositions([this.window].concat(this.getScrollableAncestors()));
+    }
+
     if (!highlightedElement.isInView()) {
       highlightedElement.bringInView();
     }
@@ -198,13 +399,201 @@ export default class Element {
     // Show the popover and stage once the item has been
     // brought in the view, this would allow us to handle
     // the cases where the container has scroll overflow
-    this.showPopover();
+    const popoverShown = this.showPopover();
     this.showStage();
-    this.addHighlightClasses();
+
+    // Elements don't need to be brought above the SVG overlay
+    if (this.options.overlayMode !== 'svg') {
+      this.addHighlightClasses();
+    }
+
+    this.bindAncestorScroll();
+    this.observeChanges();
 
     if (this.options.onHighlighted) {
       this.options.onHighlighted(this);
     }
+
+    this.emit('highlighted');
+
+    return popoverShown;
+  }
+
+  /**
+   * Keeps the stage and popover on the element while any of the
+   * containers that it is inside of are scrolled
+   * @private
+   */
+  bindAncestorScroll() {
+    const ancestors = this.getScrollableAncestors();
+    for (let counter = 0; counter < ancestors.length; counter++) {
+      ancestors[counter].addEventListener('scroll', this.scheduleReposition, false);
+    }
+
+    // Element moves with the iframe as well as inside of it
+    this.getFrameScrollTargets().forEach((target) => {
+      target.addEventListener('scroll', this.scheduleReposition, false);
+      target.addEventListener('resize', this.scheduleReposition, false);
+    });
+  }
+
+  /**
+   * Removes the scroll listeners from the scrollable ancestors
+   * @private
+   */
+  unbindAncestorScroll() {
+    const ancestors = this.getScrollableAncestors();
+    for (let counter = 0; counter < ancestors.length; counter++) {
+      ancestors[counter].removeEventListener('scroll', this.scheduleReposition, false);
+    }
+
+    this.getFrameScrollTargets().forEach((target) => {
+      target.removeEventListener('scroll', this.scheduleReposition, false);
+      target.removeEventListener('resize', this.scheduleReposition, false);
+    });
+
+    this.window.cancelAnimationFrame(this.repositionFrame);
+    this.repositionFrame = null;
+  }
+
+  /**
+   * Gets the window of the iframe and the scrollable ancestors of the iframe, if any
+   * @returns {Array<Window|HTMLElement>}
+   * @private
+   */
+  getFrameScrollTargets() {
+    if (!this.frame) {
+      return [];
+    }
+
+    const targets = getScrollableAncestors(this.frame);
+    if (this.frame.contentWindow) {
+      targets.push(this.frame.contentWindow);
+    }
+
+    return targets;
+  }
+
+  /**
+   * Keeps the stage and popover on the element when it is resized or
+   * moved by the changes in the page e.g. content loaded above it
+   * @private
+   */
+  observeChanges() {
+    const { ResizeObserver, MutationObserver } = this.window;
+
+    if (ResizeObserver) {
+      this.resizeObserver = new ResizeObserver(this.scheduleReposition);
+      this.nodes.forEach(node => this.resizeObserver.observe(node));
+    }
+
+    if (MutationObserver) {
+      this.mutationObserver = new MutationObserver(this.onMutation);
+
+      this.getDocuments().forEach(doc => this.mutationObserver.observe(doc.documentElement, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['style', 'class', 'hidden'],
+      }));
+    }
+  }
+
+  /**
+   * Gets the documents that the nodes are in along with the page
+   * e.g. the document of the iframe that the nodes are inside of
+   * @returns {Array<Document>}
+   * @public
+   */
+  getDocuments() {
+    return this.nodes
+      .map(node => node.ownerDocument)
+      .concat(this.document)
+      .filter((doc, index, allDocuments) => doc && allDocuments.indexOf(doc) === index);
+  }
+
+  /**
+   * Stops observing the changes in the element and the page
+   * @private
+   */
+  unobserveChanges() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    this.lastPosition = null;
+  }
+
+  /**
+   * Handler for the changes in the page, ignores the ones in the driver's own nodes
+   * @param {Array<MutationRecord>} mutations
+   * @private
+   */
+  onMutation(mutations) {
+    const hasPageChanged = mutations.some((mutation) => {
+      const target = mutation.target.closest ? mutation.target : mutation.target.parentElement;
+      return !target || !target.closest(DRIVER_NODES_SELECTOR);
+    });
+
+    if (hasPageChanged) {
+      this.scheduleReposition();
+    }
+  }
+
+  /**
+   * Repositions on the next frame no matter how many times
+   * it is called until then e.g. for every scroll event
+   * @private
+   */
+  scheduleReposition() {
+    // Reposition once per frame no matter how many scroll events we get
+    if (this.repositionFrame) {
+      return;
+    }
+
+    this.repositionFrame = this.window.requestAnimationFrame(() => {
+      this.repositionFrame = null;
+      this.reposition();
+    });
+  }
+
+  /**
+   * Moves the stage and popover to where the element currently is,
+   * without recreating or animating them
+   * @param {boolean} force Reposition even if the element didn't move e.g. the window was resized
+   * @public
+   */
+  reposition(force = false) {
+    // Not all the changes in the page move the element
+    const position = this.getCalculatedPosition();
+    if (!force && this.lastPosition && this.lastPosition.equals(position)) {
+      return;
+    }
+
+    this.lastPosition = position;
+
+    this.showStage();
+    if (this.popover) {
+      this.popover.reposition(this.getCalculatedPosition());
+    }
+  }
+
+  /**
+   * Notifies the listeners of the given event about this element
+   * @param {string} event
+   * @private
+   */
+  emit(event) {
+    if (this.emitter) {
+      this.emitter.emit(event, this);
+    }
   }
 
   /**
@@ -212,8 +601,10 @@ export default class Element {
    * @private
    */
   removeHighlightClasses() {
-    this.node.classList.remove(CLASS_DRIVER_HIGHLIGHTED_ELEMENT);
-    this.node.classList.remove(CLASS_POSITION_RELATIVE);
+    this.getRaisedNodes().forEach((raisedNode) => {
+      raisedNode.classList.remove(CLASS_DRIVER_HIGHLIGHTED_ELEMENT);
+      raisedNode.classList.remove(CLASS_POSITION_RELATIVE);
+    });
 
     const stackFixes = this.document.querySelectorAll(`.${CLASS_FIX_STACKING_CONTEXT}`);
     for (let counter = 0; counter < stackFixes.length; counter++) {
@@ -227,24 +618,60 @@ export default class Element {
    * @private
    */
   addHighlightClasses() {
-    this.node.classList.add(CLASS_DRIVER_HIGHLIGHTED_ELEMENT);
+    this.getRaisedNodes().forEach((raisedNode) => {
+      raisedNode.classList.add(CLASS_DRIVER_HIGHLIGHTED_ELEMENT);
 
-    // Don't make relative if element already has some position set
-    if (this.canMakeRelative()) {
-      this.node.classList.add(CLASS_POSITION_RELATIVE);
+      // Don't make relative if element already has some position set
+      if (this.canMakeRelative(raisedNode)) {
+        raisedNode.classList.add(CLASS_POSITION_RELATIVE);
+      }
+
+      // Check and re-define the stacking context
+      this.fixStackingContext(raisedNode);
+    });
+  }
+
+  /**
+   * Gets the nodes to be brought above the overlay for all the highlighted nodes
+   * @returns {Array<Node|HTMLElement>}
+   * @private
+   */
+  getRaisedNodes() {
+    return this.nodes
+      .map(node => this.getRaisedNode(node))
+      .filter((raisedNode, index, raisedNodes) => raisedNodes.indexOf(raisedNode) === index);
+  }
+
+  /**
+   * Gets the node to be brought above the overlay. Nodes inside iframes or shadow
+   * roots can't be put above the overlay of the page, so it is the iframe or the
+   * outermost shadow host for them
+   * @param {Node|HTMLElement} highlightedNode
+   * @returns {Node|HTMLElement}
+   * @private
+   */
+  getRaisedNode(highlightedNode = this.node) {
+    if (this.frame) {
+      return this.frame;
+    }
+
+    // Styles of the page don't apply inside shadow roots, so the outermost host is raised
+    let node = highlightedNode;
+    while (node.getRootNode && node.getRootNode().host) {
+      node = node.getRootNode().host;
     }
 
-    // Check and re-define the stacking context
-    this.fixStackingContext();
+    return node;
   }
 
   /**
-   * Walks through the parents of the current element and fixes
+   * Walks through the parents of the given node and fixes
    * the stacking context
+   * @param {Node|HTMLElement} node
    * @private
    */
-  fixStackingContext() {
-    let parentNode = this.node.parentNode;
+  fixStackingContext(node) {
+    let parentNode = node.parentNode;
     while (parentNode) {
       if (!parentNode.tagName || parentNode.tagName.toLowerCase() === 'body') {
         break;
@@ -279,12 +706,13 @@ export default class Element {
   }
 
   /**
-   * Checks if we can make the current element relative or not
+   * Checks if we can make the given node relative or not
+   * @param {Node|HTMLElement} node
    * @return {boolean}
    * @private
    */
-  canMakeRelative() {
-    const currentPosition = this.getStyleProperty('position');
+  canMakeRelative(node) {
+    const currentPosition = getStyleProperty(node, 'position');
     const avoidPositionsList = ['absolute', 'fixed', 'relative'];
 
     // Because if the element has any of these positions, making it
@@ -307,7 +735,21 @@ export default class Element {
    * @public
    */
   showStage() {
-    this.stage.show(this.getCalculatedPosition());
+    // SVG stage can cut out each of the nodes by itself
+    if (this.options.separateStages && this.options.overlayMode === 'svg') {
+      this.stage.show(this.getNodePositions());
+    } else if (this.extraStages.length === 0) {
+      this.stage.show(this.getCalculatedPosition());
+    } else {
+      // Each of the nodes has its own stage
+      const nodePositions = this.getNodePositions();
+      this.stage.show(nodePositions[0]);
+      this.extraStages.forEach((stage, index) => stage.show(nodePositions[index + 1]));
+    }
+
+    if (this.shield) {
+      this.shield.show(this.getCalculatedPosition());
+    }
   }
 
   /**
@@ -325,6 +767,7 @@ export default class Element {
    */
   hideStage() {
     this.stage.hide();
+    this.extraStages.forEach(stage => stage.hide());
   }
 
   /**
@@ -341,11 +784,12 @@ export default class Element {
 
   /**
    * Shows the popover on the current element
+   * @returns {Promise} Resolves once the popover is shown
    * @public
    */
   showPopover() {
     if (!this.popover) {
-      return;
+      return Promise.resolve();
     }
 
     const showAtPosition = this.getCalculatedPosition();
@@ -358,9 +802,19 @@ export default class Element {
     }
 
     // @todo remove timeout and handle with CSS
-    this.animationTimeout = this.window.setTimeout(() => {
-      this.popover.show(showAtPosition);
-    }, showAfterMs);
+    return new Promise((resolve) => {
+      this.resolveAnimation = resolve;
+      this.animationTimeout = this.window.setTimeout(() => {
+        this.popover.show(showAtPosition);
+
+        // Don't steal the focus if user is interacting with the element
+        if (!this.node.contains(this.document.activeElement)) {
+          this.popover.focus();
+        }
+
+        resolve();
+      }, showAfterMs);
+    });
   }
 
   /**
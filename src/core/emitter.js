@@ -0,0 +1,76 @@
+/**
+ * Keeps the listeners for the lifecycle events of the driver
+ * and notifies them when an event is emitted
+ */
+export default class Emitter {
+  constructor() {
+    this.listeners = {};                          // event name to the list of listeners
+  }
+
+  /**
+   * Adds a listener for the given event
+   * @param {string} event
+   * @param {Function} listener
+   * @public
+   */
+  on(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).concat(listener);
+  }
+
+  /**
+   * Removes the given listener for the event or all the
+   * listeners for the event if no listener is given
+   * @param {string} event
+   * @param {Function} listener
+   * @public
+   */
+  off(event, listener) {
+    if (!listener) {
+      delete this.listeners[event];
+      return;
+    }
+
+    this.listeners[event] = (this.listeners[event] || [])
+      .filter(existing => existing !== listener && existing.listener !== listener);
+  }
+
+  /**
+   * Removes all the listeners of all the events
+   * @public
+   */
+  clear() {
+    this.listeners = {};
+  }
+
+  /**
+   * Adds a listener that is removed after the first time the event is emitted
+   * @param {string} event
+   * @param {Function} listener
+   * @public
+   */
+  once(event, listener) {
+    const onceListener = (...args) => {
+      this.off(event, onceListener);
+      listener(...args);
+    };
+
+    // Keep the reference so that it can be removed using `off`
+    onceListener.listener = listener;
+
+    this.on(event, onceListener);
+  }
+
+  /**
+   * Calls the listeners of the given event with the given arguments
+   * @param {string} event
+   * @param {...*} args
+   * @public
+   */
+  emit(event, ...args) {
+    // Copy to allow listeners removing themselves while emitting
+    const listeners = (this.listeners[event] || []).slice();
+    for (let counter = 0; counter < listeners.length; counter++) {
+      listeners[counter](...args);
+    }
+  }
+}
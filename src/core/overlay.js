@@ -1,5 +1,5 @@
 import { ANIMATION_DURATION_MS, ID_OVERLAY, OVERLAY_HTML } from '../common/constants';
-import { createNodeFromString } from '../common/utils';
+import { createNodeFromString, isThenable } from '../common/utils';
 
 /**
  * Responsible for overlay creation and manipulation i.e.
@@ -10,12 +10,16 @@ export default class Overlay {
    * @param {Object} options
    * @param {Window} window
    * @param {Document} document
+   * @param {Emitter} emitter
    */
-  constructor(options, window, document) {
+  constructor(options, window, document, emitter) {
     this.options = options;
+    this.emitter = emitter;
 
     this.highlightedElement = null;              // currently highlighted dom element (instance of Element)
     this.lastHighlightedElement = null;          // element that was highlighted before current one
+    this.pendingElement = null;                  // element waiting for `onHighlightStarted` to settle
+    this.scrollPositions = [];                   // scroll positions of the page and containers before highlighting
     this.hideTimer = null;
 
     this.window = window;
@@ -54,35 +58,74 @@ export default class Overlay {
   /**
    * Highlights the dom element on the screen
    * @param {Element} element
+   * @param {Function} onStart Called once `onHighlightStarted` has settled, right
+   * before the element is highlighted; not called if it rejects
+   * @returns {Promise} Resolves once the element has been highlighted
    * @public
    */
-  highlight(element) {
+  highlight(element, onStart = () => null) {
     if (!element || !element.node) {
       console.warn('Invalid element to highlight. Must be an instance of `Element`');
-      return;
+      return Promise.resolve();
     }
 
-    // If highlighted element is not changed from last time
-    if (element.isSame(this.highlightedElement)) {
-      return;
+    // If highlighted element is not changed from last time. Other steps
+    // on the same node still need their own popover and options
+    if (element === this.highlightedElement) {
+      return Promise.resolve();
     }
 
     // There might be hide timer from last time
     // which might be getting triggered
     this.window.clearTimeout(this.hideTimer);
+    this.pendingElement = null;
+
+    // Trigger the hook for highlight started and wait
+    // for it to finish if it returned a promise
+    const highlightStarted = element.onHighlightStarted();
+    if (!isThenable(highlightStarted)) {
+      onStart();
+      return this.completeHighlight(element);
+    }
+
+    this.pendingElement = element;
+
+    return highlightStarted.then(() => {
+      // Some other element was highlighted or the overlay
+      // was cleared while we were waiting
+      if (this.pendingElement !== element) {
+        return null;
+      }
+
+      this.pendingElement = null;
+      onStart();
+      return this.completeHighlight(element);
+    }, (error) => {
+      // Keep the current element highlighted
+      if (this.pendingElement === element) {
+        this.pendingElement = null;
+      }
 
-    // Trigger the hook for highlight started
-    element.onHighlightStarted();
+      throw error;
+    });
+  }
 
-    // Old element has been deselected
-    if (this.highlightedElement && !this.highlightedElement.isSame(this.lastHighlightedElement)) {
+  /**
+   * Deselects the current element and highlights the given one
+   * @param {Element} element
+   * @returns {Promise}
+   * @private
+   */
+  completeHighlight(element) {
+    // Old element has been deselected, even if the new step is on the same node
+    if (this.highlightedElement) {
       this.highlightedElement.onDeselected();
     }
 
     // get the position of element around which we need to draw
     const position = element.getCalculatedPosition();
     if (!position.canHighlight()) {
-      return;
+      return Promise.resolve();
     }
 
     this.lastHighlightedElement = this.highlightedElement;
@@ -91,7 +134,7 @@ export default class Overlay {
     this.show();
 
     // Element has been highlighted
-    this.highlightedElement.onHighlighted();
+    return this.highlightedElement.onHighlighted();
   }
 
   /**
@@ -99,6 +142,11 @@ export default class Overlay {
    * @public
    */
   show() {
+    // SVG stage covers the page by itself
+    if (this.options.overlayMode === 'svg') {
+      return;
+    }
+
     if (this.node && this.node.parentElement) {
       return;
     }
@@ -124,6 +172,15 @@ export default class Overlay {
     return this.highlightedElement;
   }
 
+  /**
+   * Checks if an element is waiting for its `onHighlightStarted` to settle
+   * @returns {boolean}
+   * @public
+   */
+  isHighlightPending() {
+    return !!this.pendingElement;
+  }
+
   /**
    * Gets the element that was highlighted before current element
    * @returns {null|*}
@@ -143,6 +200,10 @@ export default class Overlay {
       this.options.onReset(this.highlightedElement);
     }
 
+    if (this.emitter) {
+      this.emitter.emit('reset', this.highlightedElement);
+    }
+
     // Deselect the highlighted element if any
     if (this.highlightedElement) {
       const hideStage = true;
@@ -151,6 +212,13 @@ export default class Overlay {
 
     this.highlightedElement = null;
     this.lastHighlightedElement = null;
+    this.pendingElement = null;
+
+    if (this.options.restoreScroll) {
+      this.restoreScrollPositions();
+    }
+
+    this.scrollPositions = [];
 
     if (!this.node) {
       return;
@@ -167,6 +235,44 @@ export default class Overlay {
     }
   }
 
+  /**
+   * Remembers the scroll positions of the given nodes, unless remembered
+   * already, so that they can be restored once the overlay is cleared
+   * @param {Array<Window|HTMLElement>} nodes
+   * @public
+   */
+  rememberScrollPositions(nodes) {
+    for (let counter = 0; counter < nodes.length; counter++) {
+      const node = nodes[counter];
+      const isRemembered = this.scrollPositions.some(scrollPosition => scrollPosition.node === node);
+
+      if (!isRemembered) {
+        this.scrollPositions.push({
+          node,
+          top: node === this.window ? this.window.pageYOffset : node.scrollTop,
+          left: node === this.window ? this.window.pageXOffset : node.scrollLeft,
+        });
+      }
+    }
+  }
+
+  /**
+   * Scrolls the page and containers back to the remembered positions
+   * @private
+   */
+  restoreScrollPositions() {
+    for (let counter = 0; counter < this.scrollPositions.length; counter++) {
+      const { node, top, left } = this.scrollPositions[counter];
+
+      if (node === this.window) {
+        this.window.scrollTo(left, top);
+      } else {
+        node.scrollTop = top;
+        node.scrollLeft = left;
+      }
+    }
+  }
+
   /**
    * Removes the overlay node if it exists
    * @private
@@ -188,8 +294,9 @@ export default class Overlay {
       return;
     }
 
-    // Reposition the stage and show popover
-    this.highlightedElement.showPopover();
-    this.highlightedElement.showStage();
+    // Move the shown stage and popover without re-rendering the popover
+    // which would take the focus and announce the step again
+    const force = true;
+    this.highlightedElement.reposition(force);
   }
 }
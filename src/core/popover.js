@@ -1,18 +1,35 @@
 import Element from './element';
+import Position from './position';
 import {
   CLASS_BTN_DISABLED,
   CLASS_CLOSE_BTN,
   CLASS_CLOSE_ONLY_BTN,
+  CLASS_CUSTOM_BTNS_LEFT,
+  CLASS_CUSTOM_BTNS_RIGHT,
   CLASS_NEXT_STEP_BTN,
+  CLASS_POPOVER_CUSTOM,
   CLASS_POPOVER_DESCRIPTION,
+  CLASS_NAVIGATION_BTNS,
   CLASS_POPOVER_FOOTER,
+  CLASS_POPOVER_HINT,
+  CLASS_POPOVER_PROGRESS,
   CLASS_POPOVER_TIP,
   CLASS_POPOVER_TITLE,
   CLASS_PREV_STEP_BTN,
+  CUSTOM_BTN_HTML,
+  ID_LIVE_REGION,
   ID_POPOVER,
+  ID_POPOVER_DESCRIPTION,
+  ID_POPOVER_TITLE,
+  LIVE_REGION_HTML,
   POPOVER_HTML,
+  POPOVER_PLACEMENT_ALIASES,
+  POPOVER_PLACEMENTS,
+  POPOVER_TIP_SIZE,
+  PROGRESS_BAR_HTML,
+  PROGRESS_DOT_HTML,
 } from '../common/constants';
-import { createNodeFromString } from '../common/utils';
+import { createNodeFromString, normalizePadding } from '../common/utils';
 
 /**
  * Popover that is displayed on top of the highlighted element
@@ -22,8 +39,9 @@ export default class Popover extends Element {
    * @param {Object} options
    * @param {Window} window
    * @param {Document} document
+   * @param {string} idSuffix Added to the ids of the nodes when several popovers can be shown at once
    */
-  constructor(options, window, document) {
+  constructor(options, window, document, idSuffix = '') {
     super();
 
     this.options = {
@@ -32,15 +50,29 @@ export default class Popover extends Element {
       totalCount: 1,
       currentIndex: 0,
       offset: 0,
-      showButtons: true,
+      showButtons: true, // or the built-in buttons to show i.e. `next`, `previous` and `close`
+      buttons: [],
       closeBtnText: 'Close',
       doneBtnText: 'Done',
       startBtnText: 'Next &rarr;',
       nextBtnText: 'Next &rarr;',
       prevBtnText: '&larr; Previous',
+      stepAnnouncement: (current, total) => `Step ${current} of ${total}`,
+      showProgress: false,
+      progressType: 'text',
+      progressText: (current, total) => `${current} of ${total}`,
+      fallbackPositions: null,
+      stepIndexes: null,
+      renderPopover: null,
+      proceedHint: '',
+      isModal: true, // false for the popovers leaving the page usable e.g. of the beacons
       ...options,
     };
 
+    this.isProceedBlocked = false;
+    this.idSuffix = idSuffix;
+
+    this.padding = normalizePadding(this.options.padding);
     this.window = window;
     this.document = document;
   }
@@ -50,22 +82,27 @@ export default class Popover extends Element {
    * @private
    */
   attachNode() {
-    let popover = this.document.getElementById(ID_POPOVER);
+    let popover = this.document.getElementById(`${ID_POPOVER}${this.idSuffix}`);
     if (popover) {
       popover.parentElement.removeChild(popover);
     }
 
-    popover = createNodeFromString(POPOVER_HTML(this.options.className));
+    popover = createNodeFromString(POPOVER_HTML(this.options.className, this.idSuffix, this.options.isModal));
     document.body.appendChild(popover);
 
     this.node = popover;
     this.tipNode = popover.querySelector(`.${CLASS_POPOVER_TIP}`);
     this.titleNode = popover.querySelector(`.${CLASS_POPOVER_TITLE}`);
     this.descriptionNode = popover.querySelector(`.${CLASS_POPOVER_DESCRIPTION}`);
+    this.hintNode = popover.querySelector(`.${CLASS_POPOVER_HINT}`);
     this.footerNode = popover.querySelector(`.${CLASS_POPOVER_FOOTER}`);
+    this.progressNode = popover.querySelector(`.${CLASS_POPOVER_PROGRESS}`);
+    this.navigationBtnsNode = popover.querySelector(`.${CLASS_NAVIGATION_BTNS}`);
     this.nextBtnNode = popover.querySelector(`.${CLASS_NEXT_STEP_BTN}`);
     this.prevBtnNode = popover.querySelector(`.${CLASS_PREV_STEP_BTN}`);
     this.closeBtnNode = popover.querySelector(`.${CLASS_CLOSE_BTN}`);
+    this.customBtnsLeftNode = popover.querySelector(`.${CLASS_CUSTOM_BTNS_LEFT}`);
+    this.customBtnsRightNode = popover.querySelector(`.${CLASS_CUSTOM_BTNS_RIGHT}`);
   }
 
   /**
@@ -110,10 +147,13 @@ export default class Popover extends Element {
     this.node.style.bottom = '';
     this.node.style.right = '';
 
-    // Remove the positional classes from tip
-    this.node
-      .querySelector(`.${CLASS_POPOVER_TIP}`)
-      .className = CLASS_POPOVER_TIP;
+    // Remove the positional classes and offsets from tip
+    const tipNode = this.node.querySelector(`.${CLASS_POPOVER_TIP}`);
+    tipNode.className = CLASS_POPOVER_TIP;
+    tipNode.style.left = '';
+    tipNode.style.right = '';
+    tipNode.style.top = '';
+    tipNode.style.bottom = '';
   }
 
   /**
@@ -130,60 +170,77 @@ export default class Popover extends Element {
     this.descriptionNode.innerHTML = this.options.description || '';
 
     this.renderFooter();
+    this.renderCustom();
+    this.renderProceedState();
+    this.reposition(position);
+
+    // Bring the popover in view port once it is displayed
+    this.bringInView();
+
+    this.announceStep();
+  }
+
+  /**
+   * Moves the shown popover around the given position
+   * @param {Position} position
+   * @public
+   */
+  reposition(position) {
+    if (!this.node || this.node.style.display === 'none') {
+      return;
+    }
+
+    this.setInitialState();
 
     // Position the popover around the given position
-    switch (this.options.position) {
-      case 'left':
-      case 'left-top':
-        this.positionOnLeft(position);
-        break;
-      case 'left-center':
-        this.positionOnLeftCenter(position);
-        break;
-      case 'left-bottom':
-        this.positionOnLeftBottom(position);
-        break;
-      case 'right':
-      case 'right-top':
-        this.positionOnRight(position);
-        break;
-      case 'right-center':
-        this.positionOnRightCenter(position);
-        break;
-      case 'right-bottom':
-        this.positionOnRightBottom(position);
-        break;
-      case 'top':
-      case 'top-left':
-        this.positionOnTop(position);
-        break;
-      case 'top-center':
-        this.positionOnTopCenter(position);
-        break;
-      case 'top-right':
-        this.positionOnTopRight(position);
-        break;
-      case 'bottom':
-      case 'bottom-left':
-        this.positionOnBottom(position);
-        break;
-      case 'bottom-center':
-        this.positionOnBottomCenter(position);
-        break;
-      case 'bottom-right':
-        this.positionOnBottomRight(position);
-        break;
-      case 'mid-center':
-        this.positionOnMidCenter(position);
-        break;
-      case 'auto':
-      default:
-        this.autoPosition(position);
-        break;
+    const placement = POPOVER_PLACEMENT_ALIASES[this.options.position] || this.options.position;
+    const fallbackPositions = this.options.fallbackPositions;
+
+    if (placement === 'mid-center') {
+      this.positionOnMidCenter(position);
+    } else if (POPOVER_PLACEMENTS.indexOf(placement) !== -1) {
+      this.autoPosition(position, [placement, ...(fallbackPositions || [this.getOppositePlacement(placement)])]);
+    } else {
+      this.autoPosition(position, fallbackPositions || POPOVER_PLACEMENTS);
     }
 
-    // Bring the popover in view port once it is displayed
-    this.bringInView();
+    this.positionTip(position);
+  }
+
+  /**
+   * Moves the focus to the popover so that screen readers announce it
+   * @public
+   */
+  focus() {
+    if (!this.node) {
+      return;
+    }
+
+    try {
+      this.node.focus({ preventScroll: true });
+    } catch (e) {
+      // Browsers not supporting the focus options
+      this.node.focus();
+    }
+  }
+
+  /**
+   * Announces the current step through the live region for screen readers
+   * @private
+   */
+  announceStep() {
+    const totalCount = this.options.totalCount;
+    if (!totalCount || totalCount === 1 || !this.options.stepAnnouncement || !this.options.isModal) {
+      return;
+    }
+
+    let liveRegion = this.document.getElementById(ID_LIVE_REGION);
+    if (!liveRegion) {
+      liveRegion = createNodeFromString(LIVE_REGION_HTML);
+      this.document.body.appendChild(liveRegion);
+    }
+
+    liveRegion.textContent = this.options.stepAnnouncement(this.options.currentIndex + 1, totalCount);
   }
 
   /**
@@ -197,32 +254,36 @@ export default class Popover extends Element {
     this.closeBtnNode.innerHTML = this.options.closeBtnText;
 
     const hasSteps = this.options.totalCount && this.options.totalCount !== 1;
-
-    // If there was only one item, hide the buttons
-    if (!this.options.showButtons) {
-      this.footerNode.style.display = 'none';
-      return;
-    }
+    const hasProgress = this.renderProgress();
+    const hasCustomButtons = this.renderCustomButtons();
 
     // If this is just a single highlighted element i.e. there
     // are no other steps to go to – just hide the navigation buttons
-    if (!hasSteps) {
-      this.nextBtnNode.style.display = 'none';
-      this.prevBtnNode.style.display = 'none';
+    const showClose = this.isButtonShown('close');
+    const showNext = hasSteps && this.isButtonShown('next');
+    const showPrevious = hasSteps && this.isButtonShown('previous');
+
+    this.closeBtnNode.style.display = showClose ? '' : 'none';
+    this.navigationBtnsNode.style.display = showNext || showPrevious ? '' : 'none';
+    // @todo modify CSS to use block
+    this.nextBtnNode.style.display = showNext ? 'inline-block' : 'none';
+    this.prevBtnNode.style.display = showPrevious ? 'inline-block' : 'none';
+
+    if (!showNext && !showPrevious) {
       this.closeBtnNode.classList.add(CLASS_CLOSE_ONLY_BTN);
     } else {
-      // @todo modify CSS to use block
-      this.nextBtnNode.style.display = 'inline-block';
-      this.prevBtnNode.style.display = 'inline-block';
       this.closeBtnNode.classList.remove(CLASS_CLOSE_ONLY_BTN);
     }
 
-    this.footerNode.style.display = 'block';
+    const hasFooter = showClose || showNext || showPrevious || hasProgress || hasCustomButtons;
+    this.footerNode.style.display = hasFooter ? 'block' : 'none';
     if (this.options.isFirst) {
       this.prevBtnNode.classList.add(CLASS_BTN_DISABLED);
+      this.prevBtnNode.setAttribute('aria-disabled', 'true');
       this.nextBtnNode.innerHTML = this.options.startBtnText;
     } else {
       this.prevBtnNode.classList.remove(CLASS_BTN_DISABLED);
+      this.prevBtnNode.removeAttribute('aria-disabled');
     }
 
     if (this.options.isLast) {
@@ -232,6 +293,174 @@ export default class Popover extends Element {
     }
   }
 
+  /**
+   * Disables the next button and shows the hint while
+   * the step does not allow moving next
+   * @param {boolean} isBlocked
+   * @public
+   */
+  setProceedBlocked(isBlocked) {
+    this.isProceedBlocked = isBlocked;
+
+    // Applied once rendered if the popover isn't shown yet
+    if (this.node) {
+      this.renderProceedState();
+    }
+  }
+
+  /**
+   * Renders the next button and the hint as per the proceed state
+   * @private
+   */
+  renderProceedState() {
+    if (this.nextBtnNode) {
+      if (this.isProceedBlocked) {
+        this.nextBtnNode.classList.add(CLASS_BTN_DISABLED);
+        this.nextBtnNode.setAttribute('aria-disabled', 'true');
+      } else {
+        this.nextBtnNode.classList.remove(CLASS_BTN_DISABLED);
+        this.nextBtnNode.removeAttribute('aria-disabled');
+      }
+    }
+
+    if (this.hintNode) {
+      const hint = this.isProceedBlocked ? this.options.proceedHint : '';
+      this.hintNode.innerHTML = hint || '';
+      this.hintNode.style.display = hint ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Checks if the given built-in button is to be shown, `showButtons`
+   * is either a boolean for all of them or the names of the ones to show
+   * @param {string} button `next`, `previous` or `close`
+   * @returns {boolean}
+   * @private
+   */
+  isButtonShown(button) {
+    const showButtons = this.options.showButtons;
+    if (Array.isArray(showButtons)) {
+      return showButtons.indexOf(button) !== -1;
+    }
+
+    return !!showButtons;
+  }
+
+  /**
+   * Renders the buttons given in the options on either side of the footer
+   * @returns {boolean} If there are any buttons
+   * @private
+   */
+  renderCustomButtons() {
+    const buttons = this.options.buttons || [];
+    const renderButtons = placement => buttons
+      .map((button, buttonIndex) => {
+        const buttonPlacement = button.placement === 'right' ? 'right' : 'left';
+        return buttonPlacement === placement ? CUSTOM_BTN_HTML(buttonIndex, button.text, button.className) : '';
+      })
+      .join('');
+
+    this.customBtnsLeftNode.innerHTML = renderButtons('left');
+    this.customBtnsRightNode.innerHTML = renderButtons('right');
+
+    return buttons.length > 0;
+  }
+
+  /**
+   * Gets the button given in the options at the given index
+   * @param {number} buttonIndex
+   * @returns {Object|null}
+   * @public
+   */
+  getButton(buttonIndex) {
+    return (this.options.buttons || [])[buttonIndex] || null;
+  }
+
+  /**
+   * Lets the `renderPopover` option change the rendered popover or
+   * replace everything but the tip with the node that it returns
+   * @private
+   */
+  renderCustom() {
+    if (!this.options.renderPopover) {
+      return;
+    }
+
+    const customNode = this.options.renderPopover({
+      node: this.node,
+      titleNode: this.titleNode,
+      descriptionNode: this.descriptionNode,
+      footerNode: this.footerNode,
+      title: this.options.title,
+      description: this.options.description,
+      currentIndex: this.options.currentIndex,
+      totalCount: this.options.totalCount,
+      isFirst: this.options.isFirst,
+      isLast: this.options.isLast,
+    });
+
+    if (!customNode || customNode === this.node) {
+      return;
+    }
+
+    [...this.node.childNodes]
+      .filter(childNode => childNode !== this.tipNode)
+      .forEach(childNode => this.node.removeChild(childNode));
+
+    this.node.appendChild(customNode);
+    this.node.classList.add(CLASS_POPOVER_CUSTOM);
+
+    // Only the controls in the custom node are there now
+    this.titleNode = this.node.querySelector(`.${CLASS_POPOVER_TITLE}`);
+    this.descriptionNode = this.node.querySelector(`.${CLASS_POPOVER_DESCRIPTION}`);
+    this.hintNode = this.node.querySelector(`.${CLASS_POPOVER_HINT}`);
+    this.footerNode = this.node.querySelector(`.${CLASS_POPOVER_FOOTER}`);
+    this.progressNode = this.node.querySelector(`.${CLASS_POPOVER_PROGRESS}`);
+    this.navigationBtnsNode = this.node.querySelector(`.${CLASS_NAVIGATION_BTNS}`);
+    this.nextBtnNode = this.node.querySelector(`.${CLASS_NEXT_STEP_BTN}`);
+    this.prevBtnNode = this.node.querySelector(`.${CLASS_PREV_STEP_BTN}`);
+    this.closeBtnNode = this.node.querySelector(`.${CLASS_CLOSE_BTN}`);
+
+    if (!this.node.querySelector(`#${ID_POPOVER_TITLE}${this.idSuffix}`)) {
+      this.node.removeAttribute('aria-labelledby');
+    }
+
+    if (!this.node.querySelector(`#${ID_POPOVER_DESCRIPTION}${this.idSuffix}`)) {
+      this.node.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Renders the progress of the steps as the text, dots or a progress bar
+   * @returns {boolean} If the progress is shown or not
+   * @private
+   */
+  renderProgress() {
+    const totalCount = this.options.totalCount;
+    if (!this.options.showProgress || !totalCount || totalCount === 1) {
+      this.progressNode.style.display = 'none';
+      return false;
+    }
+
+    const current = this.options.currentIndex + 1;
+    const progressText = this.options.progressText(current, totalCount);
+
+    if (this.options.progressType === 'dots') {
+      // Steps not counted in the progress are left out so the actual indexes of the steps are needed
+      const stepIndexes = this.options.stepIndexes || [...Array(totalCount).keys()];
+      this.progressNode.innerHTML = stepIndexes
+        .map((stepIndex, counter) => PROGRESS_DOT_HTML(stepIndex, counter + 1, counter === this.options.currentIndex))
+        .join('');
+    } else if (this.options.progressType === 'bar') {
+      this.progressNode.innerHTML = PROGRESS_BAR_HTML(current, totalCount, progressText);
+    } else {
+      this.progressNode.innerHTML = progressText;
+    }
+
+    this.progressNode.style.display = 'block';
+    return true;
+  }
+
   /**
    * Shows the popover on the left of the given position
    * @param {Position} elementPosition
@@ -239,10 +468,10 @@ export default class Popover extends Element {
    */
   positionOnLeft(elementPosition) {
     const popoverWidth = this.getSize().width;
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.left + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.left = `${elementPosition.left - popoverWidth - popoverMargin}px`;
-    this.node.style.top = `${(elementPosition.top + this.options.offset) - this.options.padding}px`;
+    this.node.style.top = `${(elementPosition.top + this.options.offset) - this.padding.top}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -258,10 +487,10 @@ export default class Popover extends Element {
     const popoverDimensions = this.getSize();
 
     const popoverWidth = popoverDimensions.width;
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.left + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.left = `${elementPosition.left - popoverWidth - popoverMargin}px`;
-    this.node.style.top = `${(elementPosition.bottom + this.options.padding + this.options.offset) - popoverDimensions.height}px`;
+    this.node.style.top = `${(elementPosition.bottom + this.padding.bottom + this.options.offset) - popoverDimensions.height}px`;
     this.node.style.bottom = '';
     this.node.style.right = '';
 
@@ -280,7 +509,7 @@ export default class Popover extends Element {
     const popoverHeight = popoverDimensions.height;
     const popoverCenter = popoverHeight / 2;
 
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.left + 10;  // adding 10 to give it a little distance from the element
     const elementCenter = (elementPosition.bottom - elementPosition.top) / 2;
     const topCenterPosition = (elementPosition.top - popoverCenter) + elementCenter + this.options.offset;
 
@@ -298,10 +527,10 @@ export default class Popover extends Element {
    * @private
    */
   positionOnRight(elementPosition) {
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.right + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.left = `${elementPosition.right + popoverMargin}px`;
-    this.node.style.top = `${(elementPosition.top + this.options.offset) - this.options.padding}px`;
+    this.node.style.top = `${(elementPosition.top + this.options.offset) - this.padding.top}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -315,7 +544,7 @@ export default class Popover extends Element {
    */
   positionOnRightCenter(elementPosition) {
     const popoverDimensions = this.getSize();
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.right + 10;  // adding 10 to give it a little distance from the element
 
     const popoverHeight = popoverDimensions.height;
     const popoverCenter = popoverHeight / 2;
@@ -336,11 +565,11 @@ export default class Popover extends Element {
    * @private
    */
   positionOnRightBottom(elementPosition) {
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.right + 10;  // adding 10 to give it a little distance from the element
     const popoverDimensions = this.getSize();
 
     this.node.style.left = `${elementPosition.right + popoverMargin}px`;
-    this.node.style.top = `${(elementPosition.bottom + this.options.padding + this.options.offset) - popoverDimensions.height}px`;
+    this.node.style.top = `${(elementPosition.bottom + this.padding.bottom + this.options.offset) - popoverDimensions.height}px`;
     this.node.style.bottom = '';
     this.node.style.right = '';
 
@@ -354,10 +583,10 @@ export default class Popover extends Element {
    */
   positionOnTop(elementPosition) {
     const popoverHeight = this.getSize().height;
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.top + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.top = `${elementPosition.top - popoverHeight - popoverMargin}px`;
-    this.node.style.left = `${(elementPosition.left - this.options.padding) + this.options.offset}px`;
+    this.node.style.left = `${(elementPosition.left - this.padding.left) + this.options.offset}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -374,11 +603,11 @@ export default class Popover extends Element {
     const popoverHeight = dimensions.height;
     const popoverWidth = dimensions.width / 2;
 
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.top + 10;  // adding 10 to give it a little distance from the element
     const nodeCenter = this.options.offset + elementPosition.left + ((elementPosition.right - elementPosition.left) / 2);
 
     this.node.style.top = `${elementPosition.top - popoverHeight - popoverMargin}px`;
-    this.node.style.left = `${nodeCenter - popoverWidth - this.options.padding}px`;
+    this.node.style.left = `${nodeCenter - popoverWidth - this.padding.left}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -394,10 +623,10 @@ export default class Popover extends Element {
   positionOnTopRight(elementPosition) {
     const dimensions = this.getSize();
     const popoverHeight = dimensions.height;
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.top + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.top = `${elementPosition.top - popoverHeight - popoverMargin}px`;
-    this.node.style.left = `${(elementPosition.right + this.options.padding + this.options.offset) - dimensions.width}px`;
+    this.node.style.left = `${(elementPosition.right + this.padding.right + this.options.offset) - dimensions.width}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -411,10 +640,10 @@ export default class Popover extends Element {
    * @private
    */
   positionOnBottom(elementPosition) {
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.bottom + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.top = `${elementPosition.bottom + popoverMargin}px`;
-    this.node.style.left = `${(elementPosition.left - this.options.padding) + this.options.offset}px`;
+    this.node.style.left = `${(elementPosition.left - this.padding.left) + this.options.offset}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -428,11 +657,11 @@ export default class Popover extends Element {
    */
   positionOnBottomCenter(elementPosition) {
     const popoverWidth = this.getSize().width / 2;
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.bottom + 10;  // adding 10 to give it a little distance from the element
     const nodeCenter = this.options.offset + elementPosition.left + ((elementPosition.right - elementPosition.left) / 2);
 
     this.node.style.top = `${elementPosition.bottom + popoverMargin}px`;
-    this.node.style.left = `${nodeCenter - popoverWidth - this.options.padding}px`;
+    this.node.style.left = `${nodeCenter - popoverWidth - this.padding.left}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -447,10 +676,10 @@ export default class Popover extends Element {
    */
   positionOnBottomRight(elementPosition) {
     const dimensions = this.getSize();
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    const popoverMargin = this.padding.bottom + 10;  // adding 10 to give it a little distance from the element
 
     this.node.style.top = `${elementPosition.bottom + popoverMargin}px`;
-    this.node.style.left = `${(elementPosition.right + this.options.padding + this.options.offset) - dimensions.width}px`;
+    this.node.style.left = `${(elementPosition.right + this.padding.right + this.options.offset) - dimensions.width}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -474,7 +703,7 @@ export default class Popover extends Element {
     const nodeCenter = this.options.offset + elementPosition.left + ((elementPosition.right - elementPosition.left) / 2);
 
     this.node.style.top = `${topCenterPosition}px`;
-    this.node.style.left = `${nodeCenter - popoverWidth - this.options.padding}px`;
+    this.node.style.left = `${nodeCenter - popoverWidth - this.padding.left}px`;
     this.node.style.right = '';
     this.node.style.bottom = '';
 
@@ -483,27 +712,201 @@ export default class Popover extends Element {
   }
 
   /**
-   * Automatically positions the popover around the given position
-   * such that the element and popover remain in view
-   * @todo add the left and right positioning decisions
+   * Positions the popover on the given placement around the position
+   * @param {string} placement
    * @param {Position} elementPosition
    * @private
    */
-  autoPosition(elementPosition) {
-    const pageSize = this.getFullPageSize();
+  positionOn(placement, elementPosition) {
+    switch (placement) {
+      case 'left':
+        this.positionOnLeft(elementPosition);
+        break;
+      case 'left-center':
+        this.positionOnLeftCenter(elementPosition);
+        break;
+      case 'left-bottom':
+        this.positionOnLeftBottom(elementPosition);
+        break;
+      case 'right':
+        this.positionOnRight(elementPosition);
+        break;
+      case 'right-center':
+        this.positionOnRightCenter(elementPosition);
+        break;
+      case 'right-bottom':
+        this.positionOnRightBottom(elementPosition);
+        break;
+      case 'top':
+        this.positionOnTop(elementPosition);
+        break;
+      case 'top-center':
+        this.positionOnTopCenter(elementPosition);
+        break;
+      case 'top-right':
+        this.positionOnTopRight(elementPosition);
+        break;
+      case 'bottom-center':
+        this.positionOnBottomCenter(elementPosition);
+        break;
+      case 'bottom-right':
+        this.positionOnBottomRight(elementPosition);
+        break;
+      case 'bottom':
+      default:
+        this.positionOnBottom(elementPosition);
+        break;
+    }
+  }
+
+  /**
+   * Positions the popover on the first of the given placements that
+   * keeps it inside the viewport. If none of them fits, the one showing
+   * most of the popover is used and the popover is shifted into view
+   * @param {Position} elementPosition
+   * @param {string[]} placements
+   * @private
+   */
+  autoPosition(elementPosition, placements) {
+    const viewport = this.getViewportPosition();
+    const popoverSize = this.getSize();
+
+    let bestPlacement = placements[0];
+    let bestVisibleArea = -1;
+
+    for (let counter = 0; counter < placements.length; counter++) {
+      const placement = POPOVER_PLACEMENT_ALIASES[placements[counter]] || placements[counter];
+
+      this.setInitialState();
+      this.positionOn(placement, elementPosition);
+
+      const popoverPosition = this.getPopoverPosition(popoverSize);
+      if (popoverPosition.isInside(viewport)) {
+        return;
+      }
+
+      const visibleArea = popoverPosition.getAreaInside(viewport);
+      if (visibleArea > bestVisibleArea) {
+        bestPlacement = placement;
+        bestVisibleArea = visibleArea;
+      }
+    }
+
+    this.setInitialState();
+    this.positionOn(bestPlacement, elementPosition);
+    this.shiftInView(bestPlacement, viewport, popoverSize);
+  }
+
+  /**
+   * Moves the popover along the side of the element that it is
+   * placed on, so that it does not overflow the viewport
+   * @param {string} placement
+   * @param {Position} viewport
+   * @param {{height: number, width: number}} popoverSize
+   * @private
+   */
+  shiftInView(placement, viewport, popoverSize) {
+    const popoverPosition = this.getPopoverPosition(popoverSize);
+    const isVertical = /^(top|bottom)/.test(placement);
+
+    if (isVertical) {
+      const left = Math.max(viewport.left, Math.min(popoverPosition.left, viewport.right - popoverSize.width));
+      this.node.style.left = `${left}px`;
+    } else {
+      const top = Math.max(viewport.top, Math.min(popoverPosition.top, viewport.bottom - popoverSize.height));
+      this.node.style.top = `${top}px`;
+    }
+  }
+
+  /**
+   * Moves the tip so that it points at the center of the element, even
+   * if the popover was shifted or offset, while keeping it on the popover
+   * @param {Position} elementPosition
+   * @private
+   */
+  positionTip(elementPosition) {
+    const isVertical = this.tipNode.classList.contains('top') || this.tipNode.classList.contains('bottom');
+    const isHorizontal = this.tipNode.classList.contains('left') || this.tipNode.classList.contains('right');
+    if (!isVertical && !isHorizontal) {
+      return;
+    }
+
     const popoverSize = this.getSize();
+    const popoverPosition = this.getPopoverPosition(popoverSize);
 
-    const pageHeight = pageSize.height;
-    const popoverHeight = popoverSize.height;
-    const popoverMargin = this.options.padding + 10;  // adding 10 to give it a little distance from the element
+    // Keep the tip away from the rounded corners of the popover
+    const clampTipOffset = (offset, popoverLength) => Math.max(
+      POPOVER_TIP_SIZE,
+      Math.min(offset, popoverLength - (2 * POPOVER_TIP_SIZE)),
+    );
 
-    const pageHeightAfterPopOver = elementPosition.bottom + popoverHeight + popoverMargin;
+    if (isVertical) {
+      const elementCenter = (elementPosition.left + elementPosition.right) / 2;
+      const tipOffset = elementCenter - popoverPosition.left - (POPOVER_TIP_SIZE / 2);
 
-    // If adding popover would go out of the window height, then show it to the top
-    if (pageHeightAfterPopOver >= pageHeight) {
-      this.positionOnTop(elementPosition);
+      this.tipNode.style.left = `${clampTipOffset(tipOffset, popoverSize.width)}px`;
+      this.tipNode.style.right = 'auto';
     } else {
-      this.positionOnBottom(elementPosition);
+      const elementCenter = (elementPosition.top + elementPosition.bottom) / 2;
+      const tipOffset = elementCenter - popoverPosition.top - (POPOVER_TIP_SIZE / 2);
+
+      this.tipNode.style.top = `${clampTipOffset(tipOffset, popoverSize.height)}px`;
+      this.tipNode.style.bottom = 'auto';
     }
   }
+
+  /**
+   * Gets the placement on the opposite side of the element e.g. `top-center` for `bottom-center`
+   * @param {string} placement
+   * @returns {string}
+   * @private
+   */
+  getOppositePlacement(placement) {
+    const oppositeSides = {
+      left: 'right',
+      right: 'left',
+      top: 'bottom',
+      bottom: 'top',
+    };
+
+    return placement.replace(/^(left|right|top|bottom)/, side => oppositeSides[side]);
+  }
+
+  /**
+   * Gets the position of the popover on the page, as currently placed
+   * @param {{height: number, width: number}} popoverSize
+   * @returns {Position}
+   * @private
+   */
+  getPopoverPosition(popoverSize) {
+    const left = parseFloat(this.node.style.left) || 0;
+    const top = parseFloat(this.node.style.top) || 0;
+
+    return new Position({
+      left,
+      top,
+      right: left + popoverSize.width,
+      bottom: top + popoverSize.height,
+    });
+  }
+
+  /**
+   * Gets the visible part of the page
+   * @returns {Position}
+   * @private
+   */
+  getViewportPosition() {
+    const body = this.document.body;
+    const documentElement = this.document.documentElement;
+
+    const scrollTop = this.window.pageYOffset || documentElement.scrollTop || body.scrollTop;
+    const scrollLeft = this.window.pageXOffset || documentElement.scrollLeft || body.scrollLeft;
+
+    return new Position({
+      top: scrollTop,
+      left: scrollLeft,
+      right: scrollLeft + (documentElement.clientWidth || this.window.innerWidth),
+      bottom: scrollTop + (documentElement.clientHeight || this.window.innerHeight),
+    });
+  }
 }
@@ -29,4 +29,43 @@ export default class Position {
   canHighlight() {
     return this.left < this.right && this.top < this.bottom;
   }
+
+  /**
+   * Gets the area of this position that lies inside the given position
+   * @param {Position} position
+   * @returns {number}
+   * @public
+   */
+  getAreaInside(position) {
+    const width = Math.min(this.right, position.right) - Math.max(this.left, position.left);
+    const height = Math.min(this.bottom, position.bottom) - Math.max(this.top, position.top);
+
+    return Math.max(width, 0) * Math.max(height, 0);
+  }
+
+  /**
+   * Checks if this position lies completely inside the given position
+   * @param {Position} position
+   * @returns {boolean}
+   * @public
+   */
+  isInside(position) {
+    return this.left >= position.left
+      && this.top >= position.top
+      && this.right <= position.right
+      && this.bottom <= position.bottom;
+  }
+
+  /**
+   * Checks if the given position is same as this one
+   * @param {Position} position
+   * @returns {boolean}
+   * @public
+   */
+  equals(position) {
+    return this.left === position.left
+      && this.top === position.top
+      && this.right === position.right
+      && this.bottom === position.bottom;
+  }
 }
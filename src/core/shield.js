@@ -0,0 +1,40 @@
+import { ID_SHIELD, SHIELD_HTML } from '../common/constants';
+import { createNodeFromString } from '../common/utils';
+import Stage from './stage';
+
+/**
+ * Transparent node over the highlighted elements that keeps the
+ * clicks, focus and hover from reaching them
+ */
+export default class Shield extends Stage {
+  /**
+   * Prepares the DOM element if not already there
+   * @private
+   */
+  attachNode() {
+    let shield = this.document.getElementById(ID_SHIELD);
+    if (!shield) {
+      shield = createNodeFromString(SHIELD_HTML);
+      this.document.body.appendChild(shield);
+    }
+
+    this.node = shield;
+  }
+
+  /**
+   * Covers the given position along with the padding around it
+   * @param {Position} position
+   * @public
+   */
+  show(position) {
+    this.attachNode();
+
+    const cutout = this.getCutout(position);
+
+    this.node.style.display = 'block';
+    this.node.style.width = `${cutout.width}px`;
+    this.node.style.height = `${cutout.height}px`;
+    this.node.style.top = `${cutout.top}px`;
+    this.node.style.left = `${cutout.left}px`;
+  }
+}
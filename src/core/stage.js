@@ -1,5 +1,10 @@
-import { CLASS_STAGE_NO_ANIMATION, ID_STAGE, STAGE_HTML } from '../common/constants';
-import { createNodeFromString } from '../common/utils';
+import {
+  CLASS_STAGE_NO_ANIMATION,
+  EXTRA_STAGE_HTML,
+  ID_STAGE,
+  STAGE_HTML,
+} from '../common/constants';
+import { createNodeFromString, normalizePadding } from '../common/utils';
 import Element from './element';
 
 /**
@@ -11,13 +16,15 @@ export default class Stage extends Element {
    * @param {Object} options
    * @param {Window} window
    * @param {Document} document
+   * @param {number} stageIndex Index of the stage when an element is highlighted with several stages
    */
-  constructor(options, window, document) {
+  constructor(options, window, document, stageIndex = 0) {
     super();
 
     this.options = options;
     this.window = window;
     this.document = document;
+    this.stageIndex = stageIndex;
   }
 
   /**
@@ -25,9 +32,11 @@ export default class Stage extends Element {
    * @private
    */
   attachNode() {
-    let stage = this.document.getElementById(ID_STAGE);
+    const stageId = this.stageIndex ? `${ID_STAGE}-${this.stageIndex}` : ID_STAGE;
+
+    let stage = this.document.getElementById(stageId);
     if (!stage) {
-      stage = createNodeFromString(STAGE_HTML);
+      stage = createNodeFromString(this.stageIndex ? EXTRA_STAGE_HTML(this.stageIndex) : STAGE_HTML);
       document.body.appendChild(stage);
     }
 
@@ -74,19 +83,68 @@ export default class Stage extends Element {
 
     this.setInitialStyle();
 
-    // Make it two times the padding because, half will be given on left and half on right
-    const requiredPadding = this.options.padding * 2;
-
-    const width = (position.right - position.left) + (requiredPadding);
-    const height = (position.bottom - position.top) + (requiredPadding);
+    const cutout = this.getCutout(position);
 
     // Show the stage
     this.node.style.display = 'block';
     this.node.style.position = 'absolute';
-    this.node.style.width = `${width}px`;
-    this.node.style.height = `${height}px`;
-    this.node.style.top = `${position.top - (requiredPadding / 2)}px`;
-    this.node.style.left = `${position.left - (requiredPadding / 2)}px`;
+    this.node.style.width = `${cutout.width}px`;
+    this.node.style.height = `${cutout.height}px`;
+    this.node.style.top = `${cutout.top}px`;
+    this.node.style.left = `${cutout.left}px`;
+    this.node.style.borderRadius = `${cutout.radiusX}px / ${cutout.radiusY}px`;
     this.node.style.backgroundColor = this.options.stageBackground;
   }
+
+  /**
+   * Gets the box to be left uncovered around the given position
+   * after applying the padding, the shape and the radius
+   * @param {Position} position
+   * @returns {{left: number, top: number, width: number, height: number, radiusX: number, radiusY: number}}
+   * @public
+   */
+  getCutout(position) {
+    const padding = normalizePadding(this.options.padding);
+
+    let left = position.left - padding.left;
+    let top = position.top - padding.top;
+    let width = (position.right - position.left) + padding.left + padding.right;
+    let height = (position.bottom - position.top) + padding.top + padding.bottom;
+
+    // Circle big enough for the longer side, around the same center
+    if (this.options.stageShape === 'circle') {
+      const size = Math.max(width, height);
+      left -= (size - width) / 2;
+      top -= (size - height) / 2;
+      width = size;
+      height = size;
+    }
+
+    const isRound = this.options.stageShape === 'circle' || this.options.stageShape === 'ellipse';
+
+    return {
+      left,
+      top,
+      width,
+      height,
+      radiusX: isRound ? width / 2 : Math.min(this.getRadius(width), width / 2),
+      radiusY: isRound ? height / 2 : Math.min(this.getRadius(height), height / 2),
+    };
+  }
+
+  /**
+   * Gets the corner radius for the given side length, the radius
+   * may be given in pixels or as a percentage like in CSS
+   * @param {number} size
+   * @returns {number}
+   * @private
+   */
+  getRadius(size) {
+    const radius = this.options.stageRadius;
+    if (typeof radius === 'string' && /%$/.test(radius)) {
+      return (parseFloat(radius) / 100) * size;
+    }
+
+    return parseFloat(radius) || 0;
+  }
 }
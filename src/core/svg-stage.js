@@ -0,0 +1,89 @@
+import { ID_SVG_OVERLAY, SVG_OVERLAY_HTML } from '../common/constants';
+import { createNodeFromString } from '../common/utils';
+import Stage from './stage';
+
+/**
+ * Overlay drawn as an SVG covering the whole page with cutouts around the
+ * highlighted elements. Unlike the stage, it does not need the elements to be
+ * brought above the overlay, so nothing on the page is changed
+ */
+export default class SvgStage extends Stage {
+  /**
+   * Prepares the SVG if not already there
+   * @private
+   */
+  attachNode() {
+    let svg = this.document.getElementById(ID_SVG_OVERLAY);
+    if (!svg) {
+      svg = createNodeFromString(SVG_OVERLAY_HTML);
+      this.document.body.appendChild(svg);
+    }
+
+    this.node = svg;
+    this.pathNode = svg.querySelector('path');
+  }
+
+  /**
+   * Covers the page leaving the cutouts at the given positions
+   * @param {Position|Position[]} positions
+   * @public
+   */
+  show(positions) {
+    this.attachNode();
+
+    const fullPageSize = this.getFullPageSize();
+    const pageSize = {
+      width: Math.max(fullPageSize.width, this.window.innerWidth),
+      height: Math.max(fullPageSize.height, this.window.innerHeight),
+    };
+
+    const cutouts = [].concat(positions)
+      .map(position => this.getCutoutPath(position))
+      .join(' ');
+
+    this.node.setAttribute('width', `${pageSize.width}`);
+    this.node.setAttribute('height', `${pageSize.height}`);
+    this.node.style.display = 'block';
+
+    // Cutouts are left unfilled because of the `evenodd` fill rule,
+    // which also lets the clicks on them through to the elements
+    this.pathNode.setAttribute('d', `M0,0 H${pageSize.width} V${pageSize.height} H0 Z ${cutouts}`);
+    this.pathNode.setAttribute('fill-opacity', `${this.options.opacity}`);
+  }
+
+  /**
+   * Gets the path of the cutout around the given position
+   * @param {Position} position
+   * @returns {string}
+   * @private
+   */
+  getCutoutPath(position) {
+    const {
+      left,
+      top,
+      width,
+      height,
+      radiusX,
+      radiusY,
+    } = this.getCutout(position);
+
+    const corner = (x, y) => `a${radiusX},${radiusY} 0 0 1 ${x},${y}`;
+    const sideX = width - (radiusX * 2);
+    const sideY = height - (radiusY * 2);
+
+    // Arcs with zero radius are drawn as straight lines, so this covers
+    // the plain rectangle as well as the ellipse where the sides are zero
+    return [
+      `M${left + radiusX},${top}`,
+      `h${sideX}`,
+      corner(radiusX, radiusY),
+      `v${sideY}`,
+      corner(-radiusX, radiusY),
+      `h${-sideX}`,
+      corner(-radiusX, -radiusY),
+      `v${-sideY}`,
+      corner(radiusX, -radiusY),
+      'Z',
+    ].join(' ');
+  }
+}
@@ -2,22 +2,65 @@ import Overlay from './core/overlay';
 import Element from './core/element';
 import Popover from './core/popover';
 import {
+  CLASS_BTN_DISABLED,
   CLASS_CLOSE_BTN,
+  CLASS_CUSTOM_BTN,
+  CLASS_DRIVER_HIGHLIGHTED_ELEMENT,
+  CLASS_EXTRA_STAGE,
+  CLASS_FIX_STACKING_CONTEXT,
   CLASS_NEXT_STEP_BTN,
+  CLASS_POSITION_RELATIVE,
   CLASS_PREV_STEP_BTN,
-  ESC_KEY_CODE,
+  CLASS_PROGRESS_DOT,
+  DEFAULT_KEYMAP,
+  FOCUSABLE_SELECTOR,
+  ID_LIVE_REGION,
+  ID_OVERLAY,
   ID_POPOVER,
-  LEFT_KEY_CODE,
+  ID_STAGE,
+  ID_SVG_OVERLAY,
+  ID_SHIELD,
+  KEY_ALIASES,
   OVERLAY_OPACITY,
+  OVERLAY_MODE,
   OVERLAY_PADDING,
-  RIGHT_KEY_CODE,
   SHOULD_ANIMATE_OVERLAY,
   SHOULD_OUTSIDE_CLICK_CLOSE,
   SHOULD_OUTSIDE_CLICK_NEXT,
+  SHOULD_PERSIST_PROGRESS,
+  SHOULD_RESTORE_SCROLL,
+  SHOULD_DISABLE_ACTIVE_INTERACTION,
+  SHADOW_SELECTOR_SEPARATOR,
+  SHOULD_WAIT_FOR_ELEMENT,
   ALLOW_KEYBOARD_CONTROL,
+  BEACON_POSITION,
+  BEACON_POSITIONS,
+  CLASS_BEACON,
+  CLASS_BEACON_POPOVER,
+  STAGE_RADIUS,
+  STAGE_SHAPE,
+  STORAGE_KEY_PREFIX,
+  WAIT_FOR_ELEMENT_TIMEOUT_MS,
 } from './common/constants';
 import Stage from './core/stage';
-import { isDomElement } from './common/utils';
+import SvgStage from './core/svg-stage';
+import Shield from './core/shield';
+import Beacon from './core/beacon';
+import Emitter from './core/emitter';
+import { getLocalStorage, MemoryStorage } from './common/storage';
+import {
+  getFocusableNodes,
+  getEventTarget,
+  getFrameDocument,
+  getStyleProperty,
+  isCurrentUrl,
+  isDomElement,
+  isEditableNode,
+  isStepDefinition,
+  isThenable,
+  querySelectorDeep,
+  waitForNode,
+} from './common/utils';
 
 /**
  * Plugin class that drives the plugin
@@ -30,39 +73,106 @@ export default class Driver {
     this.options = {
       animate: SHOULD_ANIMATE_OVERLAY, // Whether to animate or not
       opacity: OVERLAY_OPACITY,    // Overlay opacity
-      padding: OVERLAY_PADDING,    // Spacing around the element from the overlay
+      padding: OVERLAY_PADDING,    // Spacing around the element from the overlay, number or `{ top, right, bottom, left }`
+      stageRadius: STAGE_RADIUS,   // Corner radius of the highlight, or `inherit` to use the element's radius
+      stageShape: STAGE_SHAPE,     // `rect`, `circle` or `ellipse`
       scrollIntoViewOptions: null, // Options to be passed to `scrollIntoView`
+      restoreScroll: SHOULD_RESTORE_SCROLL, // Whether to scroll the page and containers back once reset
+      disableActiveInteraction: SHOULD_DISABLE_ACTIVE_INTERACTION, // Whether to keep the user from interacting with the element
       allowClose: SHOULD_OUTSIDE_CLICK_CLOSE,      // Whether to close overlay on click outside the element
       keyboardControl: ALLOW_KEYBOARD_CONTROL,     // Whether to allow controlling through keyboard or not
+      keymap: DEFAULT_KEYMAP,                      // Keys for the keyboard actions
       overlayClickNext: SHOULD_OUTSIDE_CLICK_NEXT, // Whether to move next on click outside the element
       stageBackground: '#ffffff',       // Background color for the stage
+      overlayMode: OVERLAY_MODE,        // `stage` or `svg` to cut out the elements from an SVG overlay
+      waitForElement: SHOULD_WAIT_FOR_ELEMENT,            // Whether to wait for step elements not in the DOM yet
+      waitForElementTimeout: WAIT_FOR_ELEMENT_TIMEOUT_MS, // How long to wait for the step element
+      tourId: null,                     // Identifier of the tour, required to persist the progress
+      persist: SHOULD_PERSIST_PROGRESS, // Whether to save the tour progress to the storage
+      storage: null,                    // Storage for the progress, `localStorage` if not given
       onHighlightStarted: () => null,   // When element is about to be highlighted
       onHighlighted: () => null,        // When element has been highlighted
       onDeselected: () => null,         // When the element has been deselected
       onReset: () => null,              // When overlay is about to be cleared
       onNext: () => null,               // When next button is clicked
       onPrevious: () => null,           // When previous button is clicked
+      onElementNotFound: () => null,    // When the element for a step could not be found
+      renderPopover: null,              // Changes the rendered popover or returns a node to render instead
       ...options,
     };
 
+    // Only override the given actions
+    this.options.keymap = { ...DEFAULT_KEYMAP, ...options.keymap };
+
     this.document = document;
     this.window = window;
     this.isActivated = false;
+    this.isBound = false;               // If the DOM event listeners are attached
+    this.lastFocusedNode = null;        // Node that had the focus before driver was activated
     this.steps = [];                    // steps to be presented if any
+    this.progressSteps = [];            // indexes of the steps counted in the progress, found on start
     this.currentStep = 0;               // index for the currently highlighted step
     this.currentMovePrevented = false;  // If the current move was prevented
+    this.isMovePending = false;         // If waiting for the promise returned by `onNext` or `onPrevious`
+    this.resizeFrame = null;            // Pending refresh for the window resize
+    this.isTourRunning = false;         // If one of the defined steps is being presented
+    this.cancelElementWait = () => null; // Cancels waiting for the element of a step if any
+    this.unbindAdvanceOn = () => null;   // Removes the listener moving next on the interaction with the element
+    this.unbindCanProceed = () => null;  // Removes the listeners checking if the step allows moving next
+    this.isProceedBlocked = false;       // If the current step does not allow moving next yet
+    this.beacons = [];                   // beacons on the page, removed once dismissed
+    this.beaconCount = 0;                // beacons ever added, numbers the ids of their popovers
 
-    this.overlay = new Overlay(this.options, window, document);
+    this.emitter = new Emitter();
+    this.overlay = new Overlay(this.options, window, document, this.emitter);
+
+    if (this.options.persist && !this.options.tourId) {
+      console.warn('`tourId` is required to persist the tour progress');
+    }
 
     this.onResize = this.onResize.bind(this);
-    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
     this.onClick = this.onClick.bind(this);
     this.moveNext = this.moveNext.bind(this);
     this.movePrevious = this.movePrevious.bind(this);
     this.preventMove = this.preventMove.bind(this);
+  }
 
-    // Event bindings
-    this.bind();
+  /**
+   * Adds a listener for the given lifecycle event i.e. one of `start`, `highlightStarted`,
+   * `highlighted`, `deselected`, `next`, `previous`, `reset` or `complete`
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {Driver}
+   * @public
+   */
+  on(event, listener) {
+    this.emitter.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Removes the given listener, or all the listeners if not given, for the event
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {Driver}
+   * @public
+   */
+  off(event, listener) {
+    this.emitter.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener to be called only the next time the event is emitted
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {Driver}
+   * @public
+   */
+  once(event, listener) {
+    this.emitter.once(event, listener);
+    return this;
   }
 
   /**
@@ -84,13 +194,31 @@ export default class Driver {
   }
 
   /**
-   * Binds any DOM events listeners
-   * @todo: add throttling in all the listeners
+   * Marks the driver as active and binds the DOM event listeners
+   * @private
+   */
+  activate() {
+    if (!this.isActivated) {
+      this.lastFocusedNode = this.document.activeElement;
+    }
+
+    this.isActivated = true;
+    this.bind();
+  }
+
+  /**
+   * Binds any DOM events listeners. Listeners are only
+   * attached while the driver is active
    * @private
    */
   bind() {
+    if (this.isBound) {
+      return;
+    }
+
+    this.isBound = true;
     this.window.addEventListener('resize', this.onResize, false);
-    this.window.addEventListener('keyup', this.onKeyUp, false);
+    this.window.addEventListener('keydown', this.onKeyDown, false);
 
     // Binding both touch and click results in popup getting shown and then immediately get hidden.
     // Adding the check to not bind the click event if the touch is supported i.e. on mobile devices
@@ -102,6 +230,25 @@ export default class Driver {
     }
   }
 
+  /**
+   * Removes the DOM event listeners attached by `bind`
+   * @private
+   */
+  unbind() {
+    if (!this.isBound) {
+      return;
+    }
+
+    this.isBound = false;
+    this.window.removeEventListener('resize', this.onResize, false);
+    this.window.removeEventListener('keydown', this.onKeyDown, false);
+    this.window.removeEventListener('click', this.onClick, false);
+    this.window.removeEventListener('touchstart', this.onClick, false);
+
+    this.window.cancelAnimationFrame(this.resizeFrame);
+    this.resizeFrame = null;
+  }
+
   /**
    * Removes the popover if clicked outside the highlighted element
    * or outside the
@@ -121,9 +268,18 @@ export default class Driver {
     const highlightedElement = this.overlay.getHighlightedElement();
     const popover = this.document.getElementById(ID_POPOVER);
 
-    const clickedHighlightedElement = highlightedElement.node.contains(e.target);
+    // Clicks on the shield over the element are the clicks on the element
+    const shield = this.document.getElementById(ID_SHIELD);
+    const clickedShield = !!shield && shield.contains(e.target);
+    const clickedHighlightedElement = clickedShield || highlightedElement.containsEvent(e);
     const clickedPopover = popover && popover.contains(e.target);
 
+    // Beacons can be used while the tour is running
+    const target = getEventTarget(e);
+    if (target.closest && target.closest(`.${CLASS_BEACON}, .${CLASS_BEACON_POPOVER}`)) {
+      return;
+    }
+
     // Perform the 'Next' operation when clicked outside the highlighted element
     if (!clickedHighlightedElement && !clickedPopover && this.options.overlayClickNext) {
       this.handleNext();
@@ -136,9 +292,41 @@ export default class Driver {
       return;
     }
 
-    const nextClicked = e.target.classList.contains(CLASS_NEXT_STEP_BTN);
-    const prevClicked = e.target.classList.contains(CLASS_PREV_STEP_BTN);
-    const closeClicked = e.target.classList.contains(CLASS_CLOSE_BTN);
+    // Controls may have other nodes inside e.g. icons in the custom rendered popovers
+    const getClickedControl = className => (
+      clickedPopover && target.closest ? target.closest(`.${className}`) : null
+    );
+
+    // Disabled buttons can still be clicked using the keyboard
+    if (getClickedControl(CLASS_BTN_DISABLED)) {
+      return;
+    }
+
+    // Buttons without a handler may still have the classes of the built-in ones
+    const clickedButton = getClickedControl(CLASS_CUSTOM_BTN);
+    const elementPopover = highlightedElement.getPopover();
+    const button = clickedButton && elementPopover
+      ? elementPopover.getButton(parseInt(clickedButton.getAttribute('data-button-index'), 10))
+      : null;
+    if (button && button.onClick) {
+      button.onClick({
+        driver: this,
+        element: highlightedElement,
+        button,
+        event: e,
+      });
+      return;
+    }
+
+    const clickedDot = getClickedControl(CLASS_PROGRESS_DOT);
+    if (clickedDot) {
+      this.goTo(parseInt(clickedDot.getAttribute('data-step-index'), 10)).catch(() => null);
+      return;
+    }
+
+    const nextClicked = !!getClickedControl(CLASS_NEXT_STEP_BTN);
+    const prevClicked = !!getClickedControl(CLASS_PREV_STEP_BTN);
+    const closeClicked = !!getClickedControl(CLASS_CLOSE_BTN);
 
     if (closeClicked) {
       this.reset();
@@ -158,11 +346,15 @@ export default class Driver {
    * @private
    */
   onResize() {
-    if (!this.isActivated) {
+    // Refresh once per frame no matter how many resize events we get
+    if (!this.isActivated || this.resizeFrame) {
       return;
     }
 
-    this.refresh();
+    this.resizeFrame = this.window.requestAnimationFrame(() => {
+      this.resizeFrame = null;
+      this.refresh();
+    });
   }
 
   /**
@@ -173,50 +365,156 @@ export default class Driver {
   }
 
   /**
-   * Clears the overlay on escape key process
-   * @param event
+   * Keeps the focus trapped on tab and performs the
+   * actions bound to the keys in the keymap
+   * @param {KeyboardEvent} event
    * @private
    */
-  onKeyUp(event) {
-    // If driver is not active or keyboard control is disabled
-    if (!this.isActivated || !this.options.keyboardControl) {
+  onKeyDown(event) {
+    if (!this.isActivated) {
+      return;
+    }
+
+    if (event.key === 'Tab') {
+      this.trapFocus(event);
+      return;
+    }
+
+    // If keyboard control is disabled, holding the key down or typing in some field
+    const target = getEventTarget(event);
+    if (!this.options.keyboardControl || event.repeat || isEditableNode(target)) {
+      return;
+    }
+
+    const key = KEY_ALIASES[event.key] || event.key;
+
+    // Let the buttons and links handle their own activation keys
+    const targetTag = target.tagName ? target.tagName.toLowerCase() : '';
+    if ((key === 'Enter' || key === ' ') && (targetTag === 'button' || targetTag === 'a')) {
+      return;
+    }
+
+    const highlightedElement = this.getHighlightedElement();
+    const keymap = {
+      ...this.options.keymap,
+      ...(highlightedElement && highlightedElement.options.keymap),
+    };
+
+    const action = Object.keys(keymap).filter(name => this.getActionKeys(keymap[name]).indexOf(key) !== -1)[0];
+    if (!action) {
       return;
     }
 
-    // If escape was pressed and it is allowed to click outside to close
-    if (event.keyCode === ESC_KEY_CODE) {
+    event.preventDefault();
+
+    if (action === 'close') {
       this.reset();
       return;
     }
 
+    // Custom actions bound to the keys
+    if (keymap[action] && typeof keymap[action].action === 'function') {
+      keymap[action].action(highlightedElement);
+      return;
+    }
+
     // If there is no highlighted element or there is a highlighted element
     // without popover or if the popover does not allow buttons - ignore
-    const highlightedElement = this.getHighlightedElement();
     if (!highlightedElement || !highlightedElement.popover) {
       return;
     }
 
-    if (event.keyCode === RIGHT_KEY_CODE) {
+    if (action === 'next') {
       this.handleNext();
-    } else if (event.keyCode === LEFT_KEY_CODE) {
+    } else if (action === 'previous') {
       this.handlePrevious();
     }
   }
 
+  /**
+   * Gets the keys bound to an action in the keymap, which could either
+   * be a key, a list of keys or a custom action i.e. `{ keys, action }`
+   * @param {string|string[]|{keys: string[], action: Function}} binding
+   * @returns {string[]}
+   * @private
+   */
+  getActionKeys(binding) {
+    if (!binding) {
+      return [];
+    }
+
+    const keys = typeof binding === 'string' || Array.isArray(binding) ? binding : binding.keys;
+    return [].concat(keys || []);
+  }
+
+  /**
+   * Keeps the focus inside the popover and the highlighted element
+   * while tabbing through the nodes
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  trapFocus(event) {
+    const highlightedElement = this.getHighlightedElement();
+    if (!highlightedElement) {
+      return;
+    }
+
+    // Elements that can't be interacted with can't get the focus either
+    const popover = this.document.getElementById(ID_POPOVER);
+    const interactiveNodes = highlightedElement.options.disableActiveInteraction ? [] : highlightedElement.nodes;
+    const focusable = interactiveNodes
+      .reduce((nodes, node) => nodes.concat(getFocusableNodes(node, FOCUSABLE_SELECTOR)), [])
+      .concat(getFocusableNodes(popover, FOCUSABLE_SELECTOR));
+
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const focusedIndex = focusable.indexOf(this.document.activeElement);
+
+    // Wrap around the ends and bring back the focus if it went out
+    if (focusedIndex === -1) {
+      event.preventDefault();
+      (event.shiftKey ? last : first).focus();
+    } else if (event.shiftKey && focusedIndex === 0) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && focusedIndex === focusable.length - 1) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Moves the focus back to the node that had it before driver was activated
+   * @private
+   */
+  restoreFocus() {
+    const lastFocusedNode = this.lastFocusedNode;
+    this.lastFocusedNode = null;
+
+    if (lastFocusedNode && lastFocusedNode.focus && this.document.body.contains(lastFocusedNode)) {
+      lastFocusedNode.focus();
+    }
+  }
+
   /**
    * Moves to the previous step if possible
    * otherwise resets the overlay
+   * @returns {Promise} Resolves once the previous step is shown
    * @public
    */
   movePrevious() {
-    const previousStep = this.steps[this.currentStep - 1];
-    if (!previousStep) {
-      this.reset();
-      return;
+    // Step to move to was not found
+    const previousIndex = this.getAdjacentStepIndex(this.currentStep, -1);
+    if (previousIndex === this.currentStep) {
+      return Promise.resolve();
     }
 
-    this.overlay.highlight(previousStep);
-    this.currentStep -= 1;
+    return this.highlightStep(previousIndex, -1);
   }
 
   /**
@@ -230,58 +528,375 @@ export default class Driver {
 
   /**
    * Handles the internal "move to next" event
+   * @returns {Promise} Never rejects
    * @private
    */
   handleNext() {
+    // Moves on the step being highlighted would show it again
+    if (this.isMovePending || this.overlay.isHighlightPending() || this.isProceedBlocked) {
+      return Promise.resolve();
+    }
+
     this.currentMovePrevented = false;
 
     // Call the bound `onNext` handler if available
-    const currentStep = this.steps[this.currentStep];
-    if (currentStep && currentStep.options && currentStep.options.onNext) {
-      currentStep.options.onNext(this.overlay.highlightedElement);
-    }
-
-    if (this.currentMovePrevented) {
-      return;
+    let hookResult = null;
+    const highlightedElement = this.overlay.getHighlightedElement();
+    this.emitter.emit('next', highlightedElement);
+    if (highlightedElement && highlightedElement.options.onNext) {
+      hookResult = highlightedElement.options.onNext(highlightedElement);
     }
 
-    this.moveNext();
+    // Failed hook or highlight keeps the current step
+    return this.moveAfterHook(hookResult, this.moveNext).catch(() => null);
   }
 
   /**
    * Handles the internal "move to previous" event
+   * @returns {Promise} Never rejects
    * @private
    */
   handlePrevious() {
+    if (this.isMovePending || this.overlay.isHighlightPending()) {
+      return Promise.resolve();
+    }
+
     this.currentMovePrevented = false;
 
     // Call the bound `onPrevious` handler if available
-    const currentStep = this.steps[this.currentStep];
-    if (currentStep && currentStep.options && currentStep.options.onPrevious) {
-      currentStep.options.onPrevious(this.overlay.highlightedElement);
+    let hookResult = null;
+    const highlightedElement = this.overlay.getHighlightedElement();
+    this.emitter.emit('previous', highlightedElement);
+    if (highlightedElement && highlightedElement.options.onPrevious) {
+      hookResult = highlightedElement.options.onPrevious(highlightedElement);
     }
 
-    if (this.currentMovePrevented) {
-      return;
+    // Failed hook or highlight keeps the current step
+    return this.moveAfterHook(hookResult, this.movePrevious).catch(() => null);
+  }
+
+  /**
+   * Performs the given move once the value returned by the `onNext` or
+   * `onPrevious` hook is settled, unless the move has been prevented
+   * @param {*} hookResult Value returned by the hook
+   * @param {Function} move Either `moveNext` or `movePrevious`
+   * @returns {Promise}
+   * @private
+   */
+  moveAfterHook(hookResult, move) {
+    if (!isThenable(hookResult)) {
+      return this.currentMovePrevented ? Promise.resolve() : move();
     }
 
-    this.movePrevious();
+    this.isMovePending = true;
+
+    return hookResult.then(() => {
+      this.isMovePending = false;
+      if (this.currentMovePrevented || !this.isActivated) {
+        return null;
+      }
+
+      return move();
+    }, (error) => {
+      // Stay on the current step if the hook failed
+      this.isMovePending = false;
+      throw error;
+    });
   }
 
   /**
    * Moves to the next step if possible
    * otherwise resets the overlay
+   * @returns {Promise} Resolves once the next step is shown
    * @public
    */
   moveNext() {
-    const nextStep = this.steps[this.currentStep + 1];
-    if (!nextStep) {
-      this.reset();
+    // Step to move to was not found
+    const nextIndex = this.getAdjacentStepIndex(this.currentStep, 1);
+    if (nextIndex === this.currentStep) {
+      return Promise.resolve();
+    }
+
+    return this.highlightStep(nextIndex, 1);
+  }
+
+  /**
+   * Moves to the step with the given id or index, unless it is a later
+   * step and the `canProceed` of the current step doesn't allow it yet
+   * @param {string|number} idOrIndex
+   * @returns {Promise} Resolves once the step is shown
+   * @public
+   */
+  goTo(idOrIndex) {
+    const index = this.getStepIndex(idOrIndex);
+    if (index === -1) {
+      throw new Error(`There is no step ${idOrIndex} to go to`);
+    }
+
+    if (!this.isActivated) {
+      return this.start(index);
+    }
+
+    // Can't skip ahead of the step until its `canProceed` allows
+    if (this.isProceedBlocked && index > this.currentStep) {
+      return Promise.resolve();
+    }
+
+    const direction = index < this.currentStep ? -1 : 1;
+    return this.highlightStep(index, direction);
+  }
+
+  /**
+   * Gets the index of the step with the given id or index
+   * @param {string|number} idOrIndex
+   * @returns {number} Index of the step or -1 if there is no such step
+   * @public
+   */
+  getStepIndex(idOrIndex) {
+    if (typeof idOrIndex === 'number') {
+      return this.steps[idOrIndex] ? idOrIndex : -1;
+    }
+
+    for (let counter = 0; counter < this.steps.length; counter++) {
+      const step = this.steps[counter];
+      if (isStepDefinition(step) && step.id === idOrIndex) {
+        return counter;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Gets the index of the step to move to from the given step. Follows the
+   * `next` or `previous` of the step definition which could either be a
+   * step id, index or a function returning one
+   * @param {number} fromIndex
+   * @param {number} direction 1 for the next step, -1 for the previous one
+   * @returns {number} The given index if the target step is not found
+   * @private
+   */
+  getAdjacentStepIndex(fromIndex, direction) {
+    const step = this.steps[fromIndex];
+
+    let target = null;
+    if (isStepDefinition(step)) {
+      target = direction > 0 ? step.next : step.previous;
+    }
+
+    if (typeof target === 'function') {
+      target = target(this.overlay.getHighlightedElement());
+    }
+
+    // No branching, just move in the given direction
+    if (target === null || target === undefined) {
+      return fromIndex + direction;
+    }
+
+    const index = this.getStepIndex(target);
+    if (index === -1) {
+      // Stay on the step instead of ending the tour
+      console.warn(`Step ${target} to move to not found`);
+      return fromIndex;
+    }
+
+    return index;
+  }
+
+  /**
+   * Checks if moving from the given step leads to some other step. The `next`
+   * and `previous` functions are only called when moving, so these are
+   * assumed to lead to some step
+   * @param {number} index
+   * @param {number} direction 1 for the next step, -1 for the previous one
+   * @returns {boolean}
+   * @private
+   */
+  leadsToStep(index, direction) {
+    const step = this.steps[index];
+    const target = isStepDefinition(step) ? step[direction > 0 ? 'next' : 'previous'] : null;
+    if (typeof target === 'function') {
+      return true;
+    }
+
+    const adjacentIndex = this.getAdjacentStepIndex(index, direction);
+    return adjacentIndex !== index && !!this.steps[adjacentIndex];
+  }
+
+  /**
+   * Highlights the step at the given index. Steps whose element could
+   * not be found are skipped in the given direction and the overlay
+   * is reset if there is no step left to move to
+   * @param {number} index
+   * @param {number} direction 1 when moving forward, -1 when moving back
+   * @param {number[]} skippedIndexes Steps already skipped during this move
+   * @returns {Promise} Resolves once the step is shown or the overlay is reset
+   * @private
+   */
+  highlightStep(index, direction = 1, skippedIndexes = []) {
+    const step = this.steps[index];
+    if (!step) {
+      // Moved past the last step i.e. the tour is done
+      if (direction > 0) {
+        this.complete();
+      } else {
+        this.reset();
+      }
+
+      return Promise.resolve();
+    }
+
+    // Step lives on some other page
+    if (isStepDefinition(step) && step.url && !isCurrentUrl(step.url, this.window)) {
+      this.navigateToStep(step, index);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.resolveStep(step, this.steps, index, (element) => {
+        if (!element) {
+          // Stay on the current step if the missing steps lead back to one of
+          // them, or to the missing step itself when its target is not found
+          const visitedIndexes = skippedIndexes.concat(index);
+          const adjacentIndex = this.getAdjacentStepIndex(index, direction);
+          if (visitedIndexes.indexOf(adjacentIndex) !== -1) {
+            resolve();
+            return;
+          }
+
+          resolve(this.highlightStep(adjacentIndex, direction, visitedIndexes));
+          return;
+        }
+
+        // Step is only moved to if the `onHighlightStarted` didn't reject
+        resolve(this.overlay.highlight(element, () => {
+          this.currentStep = index;
+          this.isTourRunning = true;
+          this.saveProgress();
+
+          this.bindAdvanceOn(element);
+          this.bindCanProceed(element);
+        }));
+      });
+    });
+  }
+
+  /**
+   * Moves next when the user interacts with the element of the step
+   * as given in its `advanceOn` i.e. `{ selector, event }`
+   * @param {Element} element
+   * @private
+   */
+  bindAdvanceOn(element) {
+    this.unbindAdvanceOn();
+
+    const advanceOn = element.options.advanceOn;
+    if (!advanceOn) {
+      return;
+    }
+
+    const eventName = advanceOn.event || 'click';
+    const documents = element.getDocuments();
+
+    const onInteraction = (event) => {
+      if (!this.isActivated || this.overlay.getHighlightedElement() !== element) {
+        return;
+      }
+
+      const path = event.composedPath ? event.composedPath() : [event.target];
+      const isInteracted = advanceOn.selector
+        ? path.some(node => node.matches && node.matches(advanceOn.selector))
+        : element.containsEvent(event);
+
+      if (!isInteracted) {
+        return;
+      }
+
+      // Move only once and after the page has handled the event
+      this.unbindAdvanceOn();
+      this.window.setTimeout(() => this.handleNext(), 0);
+    };
+
+    // Capturing gets the events that don't bubble as well
+    documents.forEach(doc => doc.addEventListener(eventName, onInteraction, true));
+
+    this.unbindAdvanceOn = () => {
+      documents.forEach(doc => doc.removeEventListener(eventName, onInteraction, true));
+      this.unbindAdvanceOn = () => null;
+    };
+  }
+
+  /**
+   * Keeps the user from moving next until the `canProceed` of the step returns
+   * or resolves with true, checked again on the input in the element
+   * @param {Element} element
+   * @private
+   */
+  bindCanProceed(element) {
+    this.unbindCanProceed();
+
+    const canProceed = element.options.canProceed;
+    this.setProceedBlocked(element, !!canProceed);
+    if (!canProceed) {
       return;
     }
 
-    this.overlay.highlight(nextStep);
-    this.currentStep += 1;
+    // Only the result of the latest check counts
+    let checkCount = 0;
+    const checkCanProceed = () => {
+      checkCount += 1;
+      const currentCheck = checkCount;
+
+      Promise.resolve()
+        .then(() => canProceed(element))
+        .catch(() => false)
+        .then((isAllowed) => {
+          if (currentCheck === checkCount) {
+            this.setProceedBlocked(element, !isAllowed);
+          }
+        });
+    };
+
+    const onInput = (event) => {
+      if (element.containsEvent(event)) {
+        checkCanProceed();
+      }
+    };
+
+    const documents = element.getDocuments();
+    documents.forEach((doc) => {
+      doc.addEventListener('input', onInput, true);
+      doc.addEventListener('change', onInput, true);
+    });
+
+    this.unbindCanProceed = () => {
+      documents.forEach((doc) => {
+        doc.removeEventListener('input', onInput, true);
+        doc.removeEventListener('change', onInput, true);
+      });
+
+      // Results of the pending checks are of no use anymore
+      checkCount += 1;
+      this.isProceedBlocked = false;
+      this.unbindCanProceed = () => null;
+    };
+
+    checkCanProceed();
+  }
+
+  /**
+   * Sets whether moving next is blocked and disables the next button accordingly
+   * @param {Element} element
+   * @param {boolean} isBlocked
+   * @private
+   */
+  setProceedBlocked(element, isBlocked) {
+    this.isProceedBlocked = isBlocked;
+
+    const popover = element.getPopover();
+    if (popover) {
+      popover.setProceedBlocked(isBlocked);
+    }
   }
 
   /**
@@ -289,7 +904,7 @@ export default class Driver {
    * @public
    */
   hasNextStep() {
-    return !!this.steps[this.currentStep + 1];
+    return this.leadsToStep(this.currentStep, 1);
   }
 
   /**
@@ -297,7 +912,7 @@ export default class Driver {
    * @public
    */
   hasPreviousStep() {
-    return !!this.steps[this.currentStep - 1];
+    return this.leadsToStep(this.currentStep, -1);
   }
 
   /**
@@ -306,9 +921,252 @@ export default class Driver {
    * @public
    */
   reset(immediate = false) {
+    // Tour was closed before reaching the end
+    if (this.isTourRunning) {
+      this.saveProgress({ dismissed: true });
+    }
+
+    this.cancelElementWait();
+    this.unbindAdvanceOn();
+    this.unbindCanProceed();
+    this.isMovePending = false;
+    this.isTourRunning = false;
     this.currentStep = 0;
     this.isActivated = false;
+    this.unbind();
     this.overlay.clear(immediate);
+    this.restoreFocus();
+  }
+
+  /**
+   * Resets the driver, removes the DOM event and lifecycle listeners
+   * and cleans up the nodes and classes that driver added to the page
+   * @public
+   */
+  destroy() {
+    if (this.isActivated) {
+      this.reset(true);
+    }
+
+    this.unbind();
+    this.emitter.clear();
+
+    // Dismissed beacons remove themselves from the list
+    this.beacons.slice().forEach(beacon => beacon.dismiss());
+
+    // Nodes might be left behind e.g. the popover is only ever hidden
+    const extraStages = Array.prototype.slice.call(this.document.querySelectorAll(`.${CLASS_EXTRA_STAGE}`));
+    [ID_OVERLAY, ID_STAGE, ID_SVG_OVERLAY, ID_SHIELD, ID_POPOVER, ID_LIVE_REGION]
+      .map(id => this.document.getElementById(id))
+      .concat(extraStages)
+      .forEach((node) => {
+        if (node && node.parentElement) {
+          node.parentElement.removeChild(node);
+        }
+      });
+
+    const highlightClasses = [
+      CLASS_DRIVER_HIGHLIGHTED_ELEMENT,
+      CLASS_POSITION_RELATIVE,
+      CLASS_FIX_STACKING_CONTEXT,
+    ];
+
+    highlightClasses.forEach((className) => {
+      const nodes = this.document.querySelectorAll(`.${className}`);
+      for (let counter = 0; counter < nodes.length; counter++) {
+        nodes[counter].classList.remove(className);
+      }
+    });
+  }
+
+  /**
+   * Marks the tour as completed, if any of its steps was shown,
+   * and clears the overlay
+   * @private
+   */
+  complete() {
+    if (this.isTourRunning) {
+      this.saveProgress({ completed: true });
+      this.isTourRunning = false;
+      this.emitter.emit('complete', this.overlay.getHighlightedElement());
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Gets the storage to persist the progress in, if persisting is enabled
+   * @returns {Storage|MemoryStorage|null}
+   * @private
+   */
+  getStorage() {
+    if (!this.options.tourId) {
+      return null;
+    }
+
+    return this.options.storage || getLocalStorage(this.window);
+  }
+
+  /**
+   * Saves the current step of the tour to the storage if persisting is enabled
+   * @param {{completed: boolean, dismissed: boolean}} state
+   * @private
+   */
+  saveProgress(state = {}) {
+    if (!this.options.persist) {
+      return;
+    }
+
+    this.writeProgress(this.currentStep, state);
+  }
+
+  /**
+   * Writes the progress for the given step to the storage
+   * @param {number} index
+   * @param {{completed: boolean, dismissed: boolean, navigating: boolean}} state
+   * @returns {boolean} If the progress has been written
+   * @private
+   */
+  writeProgress(index, state = {}) {
+    const storage = this.getStorage();
+    if (!storage) {
+      return false;
+    }
+
+    const step = this.steps[index];
+    const progress = {
+      tourId: this.options.tourId,
+      step: index,
+      stepId: isStepDefinition(step) && step.id !== undefined ? step.id : null,
+      completed: false,
+      dismissed: false,
+      navigating: false,
+      ...state,
+    };
+
+    try {
+      storage.setItem(`${STORAGE_KEY_PREFIX}${this.options.tourId}`, JSON.stringify(progress));
+    } catch (e) {
+      console.warn('Could not save the tour progress', e);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets the progress saved for the tour if any
+   * @returns {{tourId: string, step: number, stepId: string|null, completed: boolean, dismissed: boolean}|null}
+   * @public
+   */
+  getSavedProgress() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(storage.getItem(`${STORAGE_KEY_PREFIX}${this.options.tourId}`));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Removes the progress saved for the tour
+   * @public
+   */
+  clearProgress() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return;
+    }
+
+    storage.removeItem(`${STORAGE_KEY_PREFIX}${this.options.tourId}`);
+  }
+
+  /**
+   * Starts the tour from the saved step, or from the
+   * first step if the tour was completed or never started
+   * @returns {Promise} Resolves once the step is shown
+   * @public
+   */
+  resume() {
+    const progress = this.getSavedProgress();
+
+    let index = -1;
+    if (progress && !progress.completed) {
+      index = this.getSavedStepIndex(progress);
+    }
+
+    return this.start(index === -1 ? 0 : index);
+  }
+
+  /**
+   * Gets the index of the step recorded in the given progress
+   * @param {{step: number, stepId: string|null}} progress
+   * @returns {number} Index of the step or -1 if there is no such step
+   * @private
+   */
+  getSavedStepIndex(progress) {
+    // Prefer the step id in case steps have changed since
+    const index = typeof progress.stepId === 'string' ? this.getStepIndex(progress.stepId) : -1;
+    if (index !== -1) {
+      return index;
+    }
+
+    return typeof progress.step === 'number' ? this.getStepIndex(progress.step) : -1;
+  }
+
+  /**
+   * Saves the state of the tour and navigates to the page of the given
+   * step, where the tour continues once the steps are defined
+   * @param {Object} step
+   * @param {number} index
+   * @private
+   */
+  navigateToStep(step, index) {
+    const url = step.navigateTo || (typeof step.url === 'string' ? step.url : null);
+    if (!url) {
+      console.warn(`Step ${index} is on some other page but there is no URL to navigate to`);
+      this.reset();
+      return;
+    }
+
+    if (!this.writeProgress(index, { navigating: true })) {
+      console.warn('`tourId` is required for the tours spanning multiple pages');
+      this.reset();
+      return;
+    }
+
+    // Tour isn't dismissed, it will continue on the next page
+    this.isTourRunning = false;
+    this.reset(true);
+
+    this.window.location.assign(url);
+  }
+
+  /**
+   * Continues the tour if it navigated to the current page
+   * @private
+   */
+  continueFromOtherPage() {
+    const progress = this.getSavedProgress();
+    if (!progress || !progress.navigating) {
+      return;
+    }
+
+    const index = this.getSavedStepIndex(progress);
+    const step = this.steps[index];
+    if (!step || (step.url && !isCurrentUrl(step.url, this.window))) {
+      return;
+    }
+
+    // Clear the navigation marker, `start` saves the progress again if persisting
+    this.clearProgress();
+
+    // Nobody waits for the step here, a failed highlight has reset the driver
+    this.start(index).catch(() => null);
   }
 
   /**
@@ -340,20 +1198,202 @@ export default class Driver {
   }
 
   /**
-   * Defines steps to be highlighted
+   * Defines steps to be highlighted. Elements for the steps are
+   * looked up when the step is about to be shown. If the tour
+   * navigated to this page, it continues from the saved step
    * @param {array} steps
    * @public
    */
   defineSteps(steps) {
     this.steps = [];
+    this.progressSteps = [];
 
     for (let counter = 0; counter < steps.length; counter++) {
-      const element = this.prepareElementFromStep(steps[counter], steps, counter);
+      this.validateStep(steps[counter], counter);
+      this.steps.push(steps[counter]);
+    }
+
+    this.continueFromOtherPage();
+  }
+
+  /**
+   * Makes sure that the given step has an element to highlight
+   * @param {string|Node|Object} step
+   * @param {number} index
+   * @private
+   */
+  validateStep(step, index = 0) {
+    if (!step || (isStepDefinition(step) && !step.element && !step.elements)) {
+      throw new Error(`Element is required in step ${index}`);
+    }
+  }
+
+  /**
+   * Finds the DOM node to highlight for the given step
+   * @param {string|Node|Object} step Query selector, DOM node or step definition
+   * @returns {Node|HTMLElement|null}
+   * @private
+   */
+  findNode(step) {
+    return this.findNodes(step)[0] || null;
+  }
+
+  /**
+   * Finds the DOM nodes to highlight for the given step, the ones
+   * that can be found if the step highlights several elements
+   * @param {string|Node|Object} step Query selector, DOM node or step definition
+   * @returns {Array<Node|HTMLElement>}
+   * @private
+   */
+  findNodes(step) {
+    let querySelectors = [isStepDefinition(step) ? step.element : step];
+    if (isStepDefinition(step) && step.elements) {
+      querySelectors = step.elements;
+    }
+
+    return querySelectors
+      .map(querySelector => this.queryNode(step, querySelector))
+      .filter(node => node);
+  }
+
+  /**
+   * Finds the DOM node for the given query selector of the step
+   * @param {string|Node|Object} step
+   * @param {string|string[]|Node} querySelector
+   * @returns {Node|HTMLElement|null}
+   * @private
+   */
+  queryNode(step, querySelector) {
+    if (isDomElement(querySelector)) {
+      return querySelector;
+    }
+
+    const stepDocument = this.getStepDocument(step);
+    return stepDocument ? querySelectorDeep(stepDocument, querySelector) : null;
+  }
+
+  /**
+   * Finds the iframe that the element of the given step is inside of, if any
+   * @param {string|Node|Object} step
+   * @returns {HTMLIFrameElement|null}
+   * @private
+   */
+  findFrame(step) {
+    if (!isStepDefinition(step) || !step.frame) {
+      return null;
+    }
+
+    return isDomElement(step.frame) ? step.frame : this.document.querySelector(step.frame);
+  }
+
+  /**
+   * Gets the document to find the element of the given step in
+   * @param {string|Node|Object} step
+   * @returns {Document|null} Null if the iframe of the step is not there or can't be accessed
+   * @private
+   */
+  getStepDocument(step) {
+    if (!isStepDefinition(step) || !step.frame) {
+      return this.document;
+    }
+
+    const frame = this.findFrame(step);
+    return frame ? getFrameDocument(frame) : null;
+  }
+
+  /**
+   * Prepares the element for the given step and passes it to the callback. If the
+   * step element is not in the DOM yet and `waitForElement` is enabled, it waits
+   * for the element to appear before calling the callback
+   * @param {string|Node|Object} step
+   * @param {array} allSteps
+   * @param {number} index
+   * @param {Function} callback Receives the prepared `Element` or null if not found
+   * @private
+   */
+  resolveStep(step, allSteps, index, callback) {
+    const element = this.prepareElementFromStep(step, allSteps, index);
+    const stepOptions = this.getStepOptions(step);
+
+    if (element || !stepOptions.waitForElement) {
       if (!element) {
-        continue;
+        this.onElementNotFound(step);
       }
 
-      this.steps.push(element);
+      callback(element);
+      return;
+    }
+
+    // Any previous wait is outdated now
+    this.cancelElementWait();
+    this.cancelElementWait = waitForNode(
+      () => this.findNode(step),
+      stepOptions.waitForElementTimeout,
+      this.window,
+      this.getStepDocument(step) || this.document,
+      (node) => {
+        this.cancelElementWait = () => null;
+        if (!node) {
+          this.onElementNotFound(step);
+          callback(null);
+          return;
+        }
+
+        callback(this.prepareElementFromStep(step, allSteps, index));
+      },
+    );
+  }
+
+  /**
+   * Gets the driver options merged with the ones given in the step definition
+   * @param {string|Node|Object} step
+   * @returns {Object}
+   * @private
+   */
+  getStepOptions(step) {
+    return isStepDefinition(step) ? { ...this.options, ...step } : this.options;
+  }
+
+  /**
+   * Gets the options for the stage highlighting the given node
+   * with the radius taken from the node if it is to be inherited
+   * @param {Object} elementOptions
+   * @param {Node} node
+   * @returns {Object}
+   * @private
+   */
+  getStageOptions(elementOptions, node) {
+    if (elementOptions.stageRadius !== 'inherit') {
+      return { ...elementOptions };
+    }
+
+    // Elliptical corners are given as two lengths, only the horizontal one is used
+    const nodeRadius = node ? getStyleProperty(node, 'border-top-left-radius') : '';
+
+    return {
+      ...elementOptions,
+      stageRadius: nodeRadius.split(' ')[0] || 0,
+    };
+  }
+
+  /**
+   * Is called when the element for the given step could not be found
+   * @param {string|Node|Object} step
+   * @private
+   */
+  onElementNotFound(step) {
+    let querySelector = isStepDefinition(step) ? step.element : step;
+    if (isStepDefinition(step) && step.elements) {
+      querySelector = step.elements.join(', ');
+    } else if (Array.isArray(querySelector)) {
+      querySelector = querySelector.join(` ${SHADOW_SELECTOR_SEPARATOR} `);
+    }
+
+    console.warn(`Element to highlight ${querySelector} not found`);
+
+    const stepOptions = this.getStepOptions(step);
+    if (stepOptions.onElementNotFound) {
+      stepOptions.onElementNotFound(step);
     }
   }
 
@@ -369,25 +1409,17 @@ export default class Driver {
    */
   prepareElementFromStep(currentStep, allSteps = [], index = 0) {
     let elementOptions = { ...this.options };
-    let querySelector = currentStep;
 
-    // If the `currentStep` is step definition
-    // then grab the options and element from the definition
-    const isStepDefinition = typeof currentStep !== 'string' && !isDomElement(currentStep);
+    this.validateStep(currentStep, index);
 
-    if (!currentStep || (isStepDefinition && !currentStep.element)) {
-      throw new Error(`Element is required in step ${index}`);
-    }
-
-    if (isStepDefinition) {
-      querySelector = currentStep.element;
+    // If the `currentStep` is step definition
+    // then grab the options from the definition
+    if (isStepDefinition(currentStep)) {
       elementOptions = { ...this.options, ...currentStep };
     }
 
-    // If the given element is a query selector or a DOM element?
-    const domElement = isDomElement(querySelector) ? querySelector : this.document.querySelector(querySelector);
-    if (!domElement) {
-      console.warn(`Element to highlight ${querySelector} not found`);
+    const domElements = this.findNodes(currentStep);
+    if (domElements.length === 0) {
       return null;
     }
 
@@ -398,28 +1430,71 @@ export default class Driver {
         elementOptions.popover.className,
       ].filter(c => c).join(' ');
 
+      const isTourStep = allSteps === this.steps;
+
+      // Steps not counted e.g. moved back to after being bypassed by `next`
+      // are shown without the progress so that it doesn't change on the way
+      const stepIndexes = isTourStep && this.progressSteps.indexOf(index) !== -1 ? this.progressSteps : [];
+
       const popoverOptions = {
         ...elementOptions,
         ...elementOptions.popover,
         className: mergedClassNames,
-        totalCount: allSteps.length,
-        currentIndex: index,
-        isFirst: index === 0,
-        isLast: allSteps.length === 0 || index === allSteps.length - 1, // Only one item or last item
+        totalCount: stepIndexes.length,
+        currentIndex: Math.max(stepIndexes.indexOf(index), 0),
+        stepIndexes,
+        // Steps may branch off to any other step
+        isFirst: !isTourStep || !this.leadsToStep(index, -1),
+        isLast: !isTourStep || !this.leadsToStep(index, 1),
       };
 
+      // Steps moving next on the interaction may not need the next button
+      if (elementOptions.advanceOn && elementOptions.advanceOn.hideNext && popoverOptions.showButtons !== false) {
+        const shownButtons = Array.isArray(popoverOptions.showButtons)
+          ? popoverOptions.showButtons
+          : ['previous', 'close'];
+
+        popoverOptions.showButtons = shownButtons.filter(button => button !== 'next');
+      }
+
       popover = new Popover(popoverOptions, this.window, this.document);
     }
 
-    const stageOptions = { ...elementOptions };
-    const stage = new Stage(stageOptions, this.window, this.document);
+    const stageOptions = this.getStageOptions(elementOptions, domElements[0]);
+    const isSvgOverlay = elementOptions.overlayMode === 'svg';
+    const stage = isSvgOverlay
+      ? new SvgStage(stageOptions, this.window, this.document)
+      : new Stage(stageOptions, this.window, this.document);
+
+    // Without animation, the overlay is the shadow of the stage which
+    // would cover the other stages, so there can only be one stage
+    let extraStages = [];
+    if (elementOptions.separateStages && elementOptions.animate && !isSvgOverlay) {
+      extraStages = domElements
+        .slice(1)
+        .map((node, nodeIndex) => new Stage(
+          this.getStageOptions(elementOptions, node),
+          this.window,
+          this.document,
+          nodeIndex + 1,
+        ));
+    }
+
+    const shield = elementOptions.disableActiveInteraction
+      ? new Shield(stageOptions, this.window, this.document)
+      : null;
 
     return new Element({
-      node: domElement,
+      node: domElements[0],
+      nodes: domElements,
+      frame: this.findFrame(currentStep),
       options: elementOptions,
       popover,
       stage,
+      extraStages,
+      shield,
       overlay: this.overlay,
+      emitter: this.emitter,
       window: this.window,
       document: this.document,
     });
@@ -428,6 +1503,8 @@ export default class Driver {
   /**
    * Initiates highlighting steps from first step
    * @param {number} index at which highlight is to be started
+   * @returns {Promise} Resolves once the step is shown. If it rejects
+   * before anything is shown, the driver is reset
    * @public
    */
   start(index = 0) {
@@ -435,24 +1512,157 @@ export default class Driver {
       throw new Error('There are no steps defined to iterate');
     }
 
-    this.isActivated = true;
+    this.activate();
     this.currentStep = index;
-    this.overlay.highlight(this.steps[index]);
+    this.progressSteps = this.findProgressSteps();
+    this.emitter.emit('start', index);
+
+    return this.highlightStep(index).catch((error) => {
+      // Don't stay active with nothing highlighted
+      if (!this.hasHighlightedElement()) {
+        this.reset();
+      }
+
+      throw error;
+    });
+  }
+
+  /**
+   * Finds the steps to be counted in the progress i.e. the ones on the way
+   * through the tour, following the `next` of the steps, whose elements are
+   * on the page, are waited for or are on the other pages. The `next`
+   * functions are only called when moving so the steps after them are followed
+   * @returns {number[]}
+   * @private
+   */
+  findProgressSteps() {
+    const visitedIndexes = [];
+    const stepIndexes = [];
+
+    let index = 0;
+    while (this.steps[index] && visitedIndexes.indexOf(index) === -1) {
+      visitedIndexes.push(index);
+
+      const step = this.steps[index];
+      const stepOptions = this.getStepOptions(step);
+      const isOnOtherPage = isStepDefinition(step) && step.url && !isCurrentUrl(step.url, this.window);
+      if (isOnOtherPage || stepOptions.waitForElement || this.findNodes(step).length > 0) {
+        stepIndexes.push(index);
+      }
+
+      index = isStepDefinition(step) && typeof step.next === 'function'
+        ? index + 1
+        : this.getAdjacentStepIndex(index, 1);
+    }
+
+    return stepIndexes;
   }
 
   /**
    * Highlights the given element
    * @param {string|{element: string, popover: {}}} selector Query selector or a step definition
+   * @returns {Promise} Resolves once the element is highlighted
    * @public
    */
   highlight(selector) {
-    this.isActivated = true;
+    this.activate();
 
-    const element = this.prepareElementFromStep(selector);
-    if (!element) {
-      return;
+    return new Promise((resolve) => {
+      this.resolveStep(selector, [], 0, (element) => {
+        if (!element) {
+          resolve();
+          return;
+        }
+
+        resolve(this.overlay.highlight(element, () => {
+          this.bindAdvanceOn(element);
+          this.bindCanProceed(element);
+        }));
+      });
+    });
+  }
+
+  /**
+   * Adds a beacon on the element of the given step which opens the popover
+   * of the step when clicked, without the overlay and without interrupting
+   * the tour or the other beacons
+   * @param {string|Node|Object} step Query selector, DOM node or step definition
+   * @returns {Beacon|null} Null if the element could not be found
+   * @public
+   */
+  addBeacon(step) {
+    const node = this.findNode(step);
+    if (!node) {
+      this.onElementNotFound(step);
+      return null;
+    }
+
+    const beaconOptions = {
+      beaconPosition: BEACON_POSITION,
+      beaconLabel: 'Show hint',
+      ...(isStepDefinition(step) ? step : {}),
+    };
+
+    if (BEACON_POSITIONS.indexOf(beaconOptions.beaconPosition) === -1) {
+      console.warn(`Beacon position ${beaconOptions.beaconPosition} is not supported, using ${BEACON_POSITION}`);
+      beaconOptions.beaconPosition = BEACON_POSITION;
+    }
+
+    const element = new Element({
+      node,
+      frame: this.findFrame(step),
+      options: beaconOptions,
+      window: this.window,
+      document: this.document,
+    });
+
+    let popover = null;
+    if (beaconOptions.popover && beaconOptions.popover.title) {
+      const mergedClassNames = [
+        this.options.className,
+        CLASS_BEACON_POPOVER,
+        beaconOptions.popover.className,
+      ].filter(c => c).join(' ');
+
+      // Beacon popovers are shown alongside each other and the popover of the tour
+      this.beaconCount += 1;
+      popover = new Popover({
+        padding: this.options.padding,
+        scrollIntoViewOptions: this.options.scrollIntoViewOptions,
+        showButtons: ['close'],
+        ...beaconOptions.popover,
+        className: mergedClassNames,
+        isModal: false,
+      }, this.window, this.document, `-beacon-${this.beaconCount}`);
     }
 
-    this.overlay.highlight(element);
+    const beacon = new Beacon({
+      element,
+      popover,
+      options: beaconOptions,
+      driver: this,
+      window: this.window,
+      document: this.document,
+    });
+
+    this.beacons.push(beacon);
+    beacon.show();
+
+    return beacon;
+  }
+
+  /**
+   * Forgets the given beacon once it is dismissed
+   * @param {Beacon} beacon
+   * @private
+   */
+  removeBeacon(beacon) {
+    const index = this.beacons.indexOf(beacon);
+    if (index !== -1) {
+      this.beacons.splice(index, 1);
+    }
   }
 }
+
+// Exposed to be used as the `storage` option
+Driver.MemoryStorage = MemoryStorage;
@@ -15,32 +15,118 @@ declare module 'driver.js' {
      */
     public isActivated: boolean;
 
+    /**
+     * If the DOM event listeners are attached
+     */
+    private isBound: boolean;
+
+    /**
+     * Node that had the focus before driver was activated
+     */
+    private lastFocusedNode: Element | null;
+
     /**
      * Flag for if the current move was prevented. It is used in
      * onNext() or onPrevious() callbacks to stop the current transition
      */
     private currentMovePrevented: boolean;
 
+    /**
+     * If waiting for the promise returned by onNext() or onPrevious()
+     */
+    private isMovePending: boolean;
+
+    /**
+     * Pending refresh for the window resize
+     */
+    private resizeFrame: number | null;
+
+    /**
+     * If one of the defined steps is being presented
+     */
+    private isTourRunning: boolean;
+
     /**
      * Refers to the array of steps to be presented if any
      */
     private steps: Array<Driver.Step>;
 
+    /**
+     * Indexes of the steps counted in the progress, found when the tour starts
+     */
+    private progressSteps: Array<number>;
+
     /**
      * Refers to step index that is currently active
      */
     private currentStep: number;
 
+    /**
+     * Cancels waiting for the element of a step if any
+     */
+    private cancelElementWait: () => void;
+
+    /**
+     * Removes the listener moving next on the interaction with the element
+     */
+    private unbindAdvanceOn: () => void;
+
+    /**
+     * Removes the listeners checking if the step allows moving next
+     */
+    private unbindCanProceed: () => void;
+
+    /**
+     * If the current step does not allow moving next yet
+     */
+    private isProceedBlocked: boolean;
+
+    /**
+     * Beacons on the page, removed once dismissed
+     */
+    private beacons: Array<Driver.Beacon>;
+
+    /**
+     * Number of the beacons ever added, used for the ids of their popovers
+     */
+    private beaconCount: number;
+
     /**
      * Refers to the overlay for the screen
      */
     private overlay: Driver.Overlay;
 
+    /**
+     * Notifies the listeners of lifecycle events
+     */
+    private emitter: Driver.Emitter;
+
     /**
      * @param {DriverOptions} options
      */
     public constructor(options?: Driver.DriverOptions);
 
+    /**
+     * Adds a listener for the given lifecycle event
+     * @param {Driver.EventName} event
+     * @param {Function} listener
+     */
+    public on(event: Driver.EventName, listener: (...args: any[]) => void): Driver;
+
+    /**
+     * Removes the given listener, or all the listeners if not given, for the event
+     * @param {Driver.EventName} event
+     * @param {Function} listener
+     */
+    public off(event: Driver.EventName, listener?: (...args: any[]) => void): Driver;
+
+    /**
+     * Adds a listener to be called only the next time the event is emitted
+     * @param {Driver.EventName} event
+     * @param {Function} listener
+     */
+    public once(event: Driver.EventName, listener: (...args: any[]) => void): Driver;
+
     /**
      * Public getter for steps property
      */
@@ -51,11 +137,21 @@ declare module 'driver.js' {
      */
     public setSteps(): void;
 
+    /**
+     * Marks the driver as active and binds the DOM event listeners
+     */
+    private activate(): void;
+
     /**
      * Does the required bindings for DOM Events
      */
     private bind(): void;
 
+    /**
+     * Removes the bindings for DOM Events
+     */
+    private unbind(): void;
+
     /**
      * Listener for the click event, to decide if
      * to next/previous step, reset the overlay etc
@@ -76,19 +172,45 @@ declare module 'driver.js' {
 
     /**
      * Makes it operable with keyboard
-     * @param {Event} e
+     * @param {KeyboardEvent} e
      */
-    private onKeyUp(e: Event): void;
+    private onKeyDown(e: KeyboardEvent): void;
+
+    /**
+     * Gets the keys bound to an action in the keymap
+     * @param {Driver.KeyBinding} binding
+     * @return {string[]}
+     */
+    private getActionKeys(binding: Driver.KeyBinding): string[];
+
+    /**
+     * Keeps the focus inside the popover and the highlighted element
+     * @param {KeyboardEvent} e
+     */
+    private trapFocus(e: KeyboardEvent): void;
+
+    /**
+     * Moves the focus back to the node focused before driver was activated
+     */
+    private restoreFocus(): void;
 
     /**
      * Handles the internal next event
      */
-    private handleNext(): void;
+    private handleNext(): Promise<void>;
 
     /**
      * Handles the internal previous event
      */
-    private handlePrevious(): void;
+    private handlePrevious(): Promise<void>;
+
+    /**
+     * Performs the move once the value returned by onNext() or
+     * onPrevious() is settled, unless the move was prevented
+     * @param {any} hookResult
+     * @param {Function} move
+     */
+    private moveAfterHook(hookResult: any, move: () => Promise<void>): Promise<void>;
 
     /**
      * Prevents the current move. Useful in `onNext` if you want to
@@ -99,14 +221,16 @@ declare module 'driver.js' {
     /**
      * Moves to the previous step if possible
      * otherwise resets the overlay
+     * @return {Promise<void>} resolves once the step is shown
      */
-    public movePrevious(): void;
+    public movePrevious(): Promise<void>;
 
     /**
      * Moves to the next step if possible
      * otherwise resets the overlay
+     * @return {Promise<void>} resolves once the step is shown
      */
-    public moveNext(): void;
+    public moveNext(): Promise<void>;
 
     /**
      * Prevents the current move. Useful in `onNext` if you want to
@@ -115,13 +239,46 @@ declare module 'driver.js' {
     preventMove(): void;
 
     /**
-     * Checks if can be moved to next step
+     * Moves to the step with the given id or index, unless it is a later
+     * step and canProceed of the current step doesn't allow moving next
+     * @param {string | number} idOrIndex
+     * @return {Promise<void>} resolves once the step is shown
+     */
+    public goTo(idOrIndex: string | number): Promise<void>;
+
+    /**
+     * Gets the index of the step with the given id or index
+     * @param {string | number} idOrIndex
+     * @return {number} index of the step or -1 if there is no such step
+     */
+    public getStepIndex(idOrIndex: string | number): number;
+
+    /**
+     * Gets the index of the step to move to from the given step
+     * following the next or previous of the step definition
+     * @param {number} fromIndex
+     * @param {number} direction
+     * @return {number} the given index if the step to move to is not found
+     */
+    private getAdjacentStepIndex(fromIndex: number, direction: number): number;
+
+    /**
+     * Checks if moving from the given step leads to some other step,
+     * assuming the next or previous functions do
+     * @param {number} index
+     * @param {number} direction
+     * @return {boolean}
+     */
+    private leadsToStep(index: number, direction: number): boolean;
+
+    /**
+     * Checks if can be moved to next step, assuming a next function leads to one
      * @return {boolean}
      */
     public hasNextStep(): boolean;
 
     /**
-     * Checks if can be moved to previous step
+     * Checks if can be moved to previous step, assuming a previous function leads to one
      * @return {boolean}
      */
     public hasPreviousStep(): boolean;
@@ -131,6 +288,73 @@ declare module 'driver.js' {
      */
     public reset(immediate?: boolean): void;
 
+    /**
+     * Resets the driver, removes the DOM event and lifecycle listeners
+     * and cleans up the nodes and classes that driver added to the page
+     */
+    public destroy(): void;
+
+    /**
+     * Marks the tour as completed and clears the overlay
+     */
+    private complete(): void;
+
+    /**
+     * Gets the storage to persist the progress in if persisting is enabled
+     */
+    private getStorage(): Driver.StorageAdapter | null;
+
+    /**
+     * Saves the current step of the tour to the storage if persisting is enabled
+     * @param state
+     */
+    private saveProgress(state?: { completed?: boolean, dismissed?: boolean }): void;
+
+    /**
+     * Writes the progress for the given step to the storage
+     * @param {number} index
+     * @param state
+     * @return {boolean} if the progress has been written
+     */
+    private writeProgress(index: number, state?: { completed?: boolean, dismissed?: boolean, navigating?: boolean }): boolean;
+
+    /**
+     * Gets the index of the step recorded in the given progress
+     * @param {Driver.Progress} progress
+     * @return {number}
+     */
+    private getSavedStepIndex(progress: Driver.Progress): number;
+
+    /**
+     * Saves the state of the tour and navigates to the page of the given step
+     * @param {Driver.Step} step
+     * @param {number} index
+     */
+    private navigateToStep(step: Driver.Step, index: number): void;
+
+    /**
+     * Continues the tour if it navigated to the current page
+     */
+    private continueFromOtherPage(): void;
+
+    /**
+     * Gets the progress saved for the tour if any
+     * @return {Driver.Progress | null}
+     */
+    public getSavedProgress(): Driver.Progress | null;
+
+    /**
+     * Removes the progress saved for the tour
+     */
+    public clearProgress(): void;
+
+    /**
+     * Starts the tour from the saved step or from the first step
+     * if the tour was completed or never started
+     * @return {Promise<void>} resolves once the step is shown
+     */
+    public resume(): Promise<void>;
+
     /**
      * Checks if there is any highlighted element or not
      * @return {boolean}
@@ -155,33 +379,403 @@ declare module 'driver.js' {
      */
     public defineSteps(steps: Array<Driver.Step>): void;
 
+    /**
+     * Finds the steps counted in the progress i.e. the ones on the way through
+     * the tour whose elements are on the page, waited for or on other pages
+     * @return {number[]}
+     */
+    private findProgressSteps(): Array<number>;
+
+    /**
+     * Highlights the step at the given index, skipping the steps whose
+     * element could not be found in the given direction
+     * @param {number} index
+     * @param {number} direction
+     * @param {number[]} skippedIndexes steps already skipped during this move
+     */
+    private highlightStep(index: number, direction?: number, skippedIndexes?: Array<number>): Promise<void>;
+
+    /**
+     * Moves next when the user interacts with the element as given in its `advanceOn`
+     * @param {Driver.Element} element
+     */
+    private bindAdvanceOn(element: Driver.Element): void;
+
+    /**
+     * Keeps the user from moving next until the `canProceed` of the step allows it
+     * @param {Driver.Element} element
+     */
+    private bindCanProceed(element: Driver.Element): void;
+
+    /**
+     * Sets whether moving next is blocked and disables the next button accordingly
+     * @param {Driver.Element} element
+     * @param {boolean} isBlocked
+     */
+    private setProceedBlocked(element: Driver.Element, isBlocked: boolean): void;
+
+    /**
+     * Throws if the given step does not have an element
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @param {number} index
+     */
+    private validateStep(step: Driver.Step | string | HTMLElement | Node, index?: number): void;
+
+    /**
+     * Finds the DOM node for the given step
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @return {HTMLElement | Node | null}
+     */
+    private findNode(step: Driver.Step | string | HTMLElement | Node): HTMLElement | Node | null;
+
+    /**
+     * Finds the DOM nodes for the given step that can be found
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @return {Array<HTMLElement | Node>}
+     */
+    private findNodes(step: Driver.Step | string | HTMLElement | Node): Array<HTMLElement | Node>;
+
+    /**
+     * Finds the DOM node for the given query selector of the step
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @param {string | Array<string> | HTMLElement | Node} querySelector
+     * @return {HTMLElement | Node | null}
+     */
+    private queryNode(step: Driver.Step | string | HTMLElement | Node,
+                      querySelector: string | Array<string> | HTMLElement | Node): HTMLElement | Node | null;
+
+    /**
+     * Finds the iframe that the element of the given step is inside of
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @return {HTMLIFrameElement | null}
+     */
+    private findFrame(step: Driver.Step | string | HTMLElement | Node): HTMLIFrameElement | null;
+
+    /**
+     * Gets the document to find the element of the given step in
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @return {Document | null}
+     */
+    private getStepDocument(step: Driver.Step | string | HTMLElement | Node): Document | null;
+
+    /**
+     * Prepares the element for the given step, waiting for it to appear
+     * in the DOM if `waitForElement` is enabled
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @param {Array<Driver.Step>} allSteps
+     * @param {number} index
+     * @param {Function} callback
+     */
+    private resolveStep(step: Driver.Step | string | HTMLElement | Node,
+                        allSteps: Array<Driver.Step>,
+                        index: number,
+                        callback: (element: Driver.Element | null) => void): void;
+
+    /**
+     * Gets the driver options merged with the ones in the step definition
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     * @return {Driver.ElementOptions}
+     */
+    private getStepOptions(step: Driver.Step | string | HTMLElement | Node): Driver.ElementOptions;
+
+    /**
+     * Is called when the element for the given step could not be found
+     * @param {Driver.Step | string | HTMLElement | Node} step
+     */
+    private onElementNotFound(step: Driver.Step | string | HTMLElement | Node): void;
+
     /**
      * Prepares {Driver.Element} from the given step definition
      * @param {Driver.Step | string} step query selector or step definition for the step
      * @param {Array<Driver.Step>} allSteps all the given steps
      * @param {number} stepIndex array index for the current step
      */
-    private prepareElementFromStep(step: Driver.Step | string, allSteps: Array<Driver.Step>, stepIndex: number): void;
+    private prepareElementFromStep(step: Driver.Step | string, allSteps: Array<Driver.Step>, stepIndex: number): Driver.Element | null;
 
     /**
      * Starts presenting the set steps from the given index
      * @param {number} index
+     * @return {Promise<void>} resolves once the step is shown
      */
-    public start(index?: number): void;
+    public start(index?: number): Promise<void>;
 
     /**
-     * Highlights the given element. Element can be a query selector or a step definition
-     * @param {string | Driver.Step} element
+     * Highlights the given element. Element can be a query selector, an array of
+     * selectors piercing the shadow roots or a step definition
+     * @param {string | Array<string> | Driver.Step} element
+     * @return {Promise<void>} resolves once the element is highlighted
      */
-    public highlight(element: string | Driver.Step): void;
+    public highlight(element: string | Array<string> | Driver.Step): Promise<void>;
+
+    /**
+     * Adds a beacon on the element of the given step which opens the popover of
+     * the step when clicked, without the overlay and without interrupting the tour
+     * @param {string | Array<string> | Driver.BeaconStep} element
+     * @return {Driver.Beacon | null} null if the element could not be found
+     */
+    public addBeacon(element: string | Array<string> | Driver.BeaconStep): Driver.Beacon | null;
+
+    /**
+     * Forgets the given beacon once it is dismissed
+     * @param {Driver.Beacon} beacon
+     */
+    private removeBeacon(beacon: Driver.Beacon): void;
   }
 
   namespace Driver {
+    /**
+     * Lifecycle events; `start` is emitted with the step index, `complete`, `reset`
+     * and the rest are emitted with the highlighted element
+     */
+    type EventName = 'start' | 'highlightStarted' | 'highlighted' | 'deselected' | 'next' | 'previous' | 'reset' | 'complete';
+
+    class Emitter {
+      private listeners: { [event: string]: Array<(...args: any[]) => void> };
+
+      /**
+       * Adds a listener for the given event
+       */
+      public on(event: string, listener: (...args: any[]) => void): void;
+
+      /**
+       * Removes the given listener or all the listeners for the event
+       */
+      public off(event: string, listener?: (...args: any[]) => void): void;
+
+      /**
+       * Removes all the listeners of all the events
+       */
+      public clear(): void;
+
+      /**
+       * Adds a listener that is removed after the first call
+       */
+      public once(event: string, listener: (...args: any[]) => void): void;
+
+      /**
+       * Calls the listeners of the given event with the given arguments
+       */
+      public emit(event: string, ...args: any[]): void;
+    }
+
+    class Beacon {
+      private element: Driver.Element;
+      private popover: Driver.Popover | null;
+      private options: Driver.BeaconStep;
+      private driver: Driver | null;
+      private node: HTMLElement | null;
+      private isOpen: boolean;
+      private repositionFrame: number | null;
+      private window: Window;
+      private document: Document;
+
+      /**
+       * Adds the marker to the page and keeps it on the element
+       */
+      public show(): void;
+
+      /**
+       * Opens the popover if closed, closes it otherwise
+       */
+      public toggle(): void;
+
+      /**
+       * Opens the popover anchored to the element
+       */
+      public open(): void;
+
+      /**
+       * Closes the popover, the beacon stays on the element
+       */
+      public close(): void;
+
+      /**
+       * Removes the beacon and its popover for good
+       */
+      public dismiss(): void;
+
+      /**
+       * Moves the beacon and the open popover to where the element currently is
+       */
+      public reposition(): void;
+
+      /**
+       * Closes the popover on the clicks outside of it and the beacon
+       */
+      private onOutsideClick(event: MouseEvent): void;
+
+      /**
+       * Dismisses the beacon on close and calls the handlers of the custom buttons
+       */
+      private onPopoverClick(event: MouseEvent): void;
+
+      /**
+       * Repositions on the next frame, once no matter how many times it is called
+       */
+      private scheduleReposition(): void;
+    }
+
+    /**
+     * Storage adapter that keeps the progress in memory
+     */
+    class MemoryStorage implements StorageAdapter {
+      private items: { [key: string]: string };
+
+      public getItem(key: string): string | null;
+
+      public setItem(key: string, value: string): void;
+
+      public removeItem(key: string): void;
+    }
+
+    /**
+     * Either the key or the list of keys for a built-in action,
+     * or the keys and the function for a custom action
+     */
+    type KeyBinding = string | string[] | {
+      keys: string | string[],
+      action: (element: Driver.Element) => void,
+    };
+
+    interface Keymap {
+      /**
+       * Keys to move to the next step
+       * @default ['ArrowRight']
+       */
+      next?: KeyBinding;
+
+      /**
+       * Keys to move to the previous step
+       * @default ['ArrowLeft']
+       */
+      previous?: KeyBinding;
+
+      /**
+       * Keys to close the driver
+       * @default ['Escape']
+       */
+      close?: KeyBinding;
+
+      /**
+       * Custom actions
+       */
+      [action: string]: KeyBinding | undefined;
+    }
+
+    interface StorageAdapter {
+      getItem(key: string): string | null;
+
+      setItem(key: string, value: string): void;
+
+      removeItem(key: string): void;
+    }
+
+    interface Progress {
+      /**
+       * Identifier of the tour
+       */
+      tourId: string;
+
+      /**
+       * Index of the last shown step
+       */
+      step: number;
+
+      /**
+       * Id of the last shown step if it had one
+       */
+      stepId: string | null;
+
+      /**
+       * If the user reached the end of the tour
+       */
+      completed: boolean;
+
+      /**
+       * If the user closed the tour before reaching the end
+       */
+      dismissed: boolean;
+
+      /**
+       * If the tour is navigating to the page of the saved step
+       */
+      navigating: boolean;
+    }
+
     interface Step {
       /**
-       * Query selector representing the DOM Element
+       * Query selector representing the DOM Element, selectors of the shadow hosts
+       * and the element as an array or separated by `>>>` for elements in shadow roots
+       */
+      element?: string | Array<string> | HTMLElement | Node;
+
+      /**
+       * Elements to be highlighted together in this step, instead of `element`
+       */
+      elements?: Array<string | Array<string> | HTMLElement | Node>;
+
+      /**
+       * Whether to draw a stage behind each of the `elements` instead of one around
+       * all of them. Only when animating because the stage is the overlay otherwise
+       * @default false
+       */
+      separateStages?: boolean;
+
+      /**
+       * Moves to the next step when the user interacts with the element
+       */
+      advanceOn?: Driver.AdvanceOn;
+
+      /**
+       * Whether to keep the user from interacting with the element of this step
+       */
+      disableActiveInteraction?: boolean;
+
+      /**
+       * Keeps the next button disabled until it returns or resolves with true,
+       * checked again on the input in the highlighted element
+       */
+      canProceed?: (element: Driver.Element) => boolean | Promise<boolean>;
+
+      /**
+       * Shown in the popover while `canProceed` does not allow moving next
+       */
+      proceedHint?: string;
+
+      /**
+       * Query selector or the same-origin iframe that the element is inside of
+       */
+      frame?: string | HTMLIFrameElement;
+
+      /**
+       * Identifier of the step to be used with goTo(), next and previous
+       */
+      id?: string;
+
+      /**
+       * URL or URL pattern of the page that this step lives on
+       */
+      url?: string | RegExp;
+
+      /**
+       * URL to navigate to for showing this step, required if url is a pattern
+       * @default url
+       */
+      navigateTo?: string;
+
+      /**
+       * Step to move to from this step, either a step id, an index
+       * or a function returning one
+       * @default the step after this one
+       */
+      next?: string | number | ((element: Driver.Element) => string | number | null | undefined);
+
+      /**
+       * Step to move back to from this step, either a step id, an index
+       * or a function returning one
+       * @default the step before this one
        */
-      element: string | HTMLElement | Node;
+      previous?: string | number | ((element: Driver.Element) => string | number | null | undefined);
 
       /**
        * Color of stage when this step is active
@@ -189,20 +783,65 @@ declare module 'driver.js' {
        */
       stageBackground?: string;
 
+      /**
+       * Spacing around the element for this step
+       */
+      padding?: number | Driver.Padding;
+
+      /**
+       * Corner radius of the highlight for this step
+       */
+      stageRadius?: number | string;
+
+      /**
+       * Shape of the highlight for this step
+       */
+      stageShape?: 'rect' | 'circle' | 'ellipse';
+
+      /**
+       * Keys for the keyboard actions while this step is active,
+       * overrides the actions given in the driver keymap
+       */
+      keymap?: Driver.Keymap;
+
+      /**
+       * Whether to wait for the element of this step to be added to the DOM
+       * @default false
+       */
+      waitForElement?: boolean;
+
+      /**
+       * Milliseconds to wait for the element of this step
+       * @default 5000
+       */
+      waitForElementTimeout?: number;
+
+      /**
+       * Is called when the element of this step could not be found
+       */
+      onElementNotFound?: (step: Driver.Step | string | HTMLElement | Node) => void;
+
+      /**
+       * Changes the rendered popover of this step or returns a node to render instead
+       */
+      renderPopover?: (context: Driver.PopoverRenderContext) => Node | HTMLElement | void;
+
       /**
        * Options representing popover for this step
        */
       popover?: Driver.PopoverOptions;
 
       /**
-       * Is called when the next element is about to be highlighted
+       * Is called when the next element is about to be highlighted.
+       * If it returns a promise, driver waits for it before moving
        */
-      onNext?: (element: Driver.Element) => void;
+      onNext?: (element: Driver.Element) => void | Promise<any>;
 
       /**
-       * Is called when the previous element is about to be highlighted
+       * Is called when the previous element is about to be highlighted.
+       * If it returns a promise, driver waits for it before moving
        */
-      onPrevious?: (element: Driver.Element) => void;
+      onPrevious?: (element: Driver.Element) => void | Promise<any>;
     }
 
     class Element {
@@ -210,6 +849,14 @@ declare module 'driver.js' {
        * Refers to the DOM element that this class wraps
        */
       private node: Node | HTMLElement;
+      /**
+       * All the highlighted DOM elements, if the step highlights several
+       */
+      private nodes: Array<Node | HTMLElement>;
+      /**
+       * Iframe that the node is inside of, if any
+       */
+      private frame: HTMLIFrameElement | null;
       /**
        * Refers to the global Document object
        */
@@ -234,6 +881,26 @@ declare module 'driver.js' {
        * Refers to the stage that will be displayed behind this element
        */
       private stage: Driver.Stage;
+      /**
+       * Stages behind the rest of the nodes, if they are highlighted separately
+       */
+      private extraStages: Array<Driver.Stage>;
+      /**
+       * Keeps the interactions from reaching the nodes, if disabled
+       */
+      private shield: Driver.Shield | null;
+      /**
+       * Notifies the listeners of the lifecycle events
+       */
+      private emitter: Driver.Emitter;
+      /**
+       * Ancestors of the element which can be scrolled, nearest first
+       */
+      private scrollableAncestors: Array<HTMLElement> | null;
+      /**
+       * Frame requested to reposition after the ancestors were scrolled
+       */
+      private repositionFrame: number | null;
 
       /**
        * @param {HTMLElement | Node} node
@@ -269,11 +936,103 @@ declare module 'driver.js' {
        */
       public getCalculatedPosition(): Driver.Position;
 
+      /**
+       * Gets the positions of each of the highlighted nodes
+       * @return {Array<Driver.Position>}
+       */
+      private getNodePositions(): Array<Driver.Position>;
+
+      /**
+       * Checks if the element is visible in its iframe and in the viewport
+       * @return {boolean}
+       */
+      private isInFrameView(): boolean;
+
+      /**
+       * Gets the distance of the iframe content from the top left of the viewport
+       * @return {{top: number, left: number}}
+       */
+      private getFrameOffset(): { top: number, left: number };
+
+      /**
+       * Checks if the element is not scrolled out of any of its scrollable ancestors
+       * @return {boolean}
+       */
+      private isInAncestorsView(): boolean;
+
+      /**
+       * Gets the ancestors of the element which can be scrolled, nearest first
+       * @return {Array<HTMLElement>}
+       */
+      public getScrollableAncestors(): Array<HTMLElement>;
+
       /**
        * Manually scrolls to current element if scrollInToView is not supported
        */
       private scrollManually(): void;
 
+      /**
+       * Adds the scroll listeners to the scrollable ancestors
+       */
+      private bindAncestorScroll(): void;
+
+      /**
+       * Removes the scroll listeners from the scrollable ancestors
+       */
+      private unbindAncestorScroll(): void;
+
+      /**
+       * Gets the window of the iframe and the scrollable ancestors of the iframe
+       * @return {Array<Window | HTMLElement>}
+       */
+      private getFrameScrollTargets(): Array<Window | HTMLElement>;
+
+      /**
+       * Gets the node to be brought above the overlay i.e. the iframe for nodes inside iframes
+       * @param {Node | HTMLElement} highlightedNode
+       * @return {Node | HTMLElement}
+       */
+      private getRaisedNode(highlightedNode?: Node | HTMLElement): Node | HTMLElement;
+
+      /**
+       * Gets the nodes to be brought above the overlay for all the highlighted nodes
+       * @return {Array<Node | HTMLElement>}
+       */
+      private getRaisedNodes(): Array<Node | HTMLElement>;
+
+      /**
+       * Repositions on the next frame, once no matter how many times it is called
+       */
+      private scheduleReposition(): void;
+
+      /**
+       * Observes the resizes of the nodes and the changes in the page
+       */
+      private observeChanges(): void;
+
+      /**
+       * Gets the documents that the nodes are in along with the page
+       * @return {Array<Document>}
+       */
+      public getDocuments(): Array<Document>;
+
+      /**
+       * Stops observing the changes in the nodes and the page
+       */
+      private unobserveChanges(): void;
+
+      /**
+       * Handler for the changes in the page, ignores the ones in the driver's own nodes
+       * @param {Array<MutationRecord>} mutations
+       */
+      private onMutation(mutations: Array<MutationRecord>): void;
+
+      /**
+       * Moves the stage and popover to where the element currently is
+       * @param {boolean} force reposition even if the element didn't move
+       */
+      public reposition(force?: boolean): void;
+
       /**
        * Is called when the current element is deselected
        * @param {boolean} hideStage
@@ -282,13 +1041,21 @@ declare module 'driver.js' {
 
       /**
        * Is called when element is about to be highlighted
+       * @return {any} value returned by the onHighlightStarted() callback
        */
-      private onHighlightStarted(): void;
+      private onHighlightStarted(): any;
 
       /**
        * Is called when element has been successfully highlighted
+       * @return {Promise<void>} resolves once the popover and stage are shown
+       */
+      private onHighlighted(): Promise<void>;
+
+      /**
+       * Notifies the listeners of the given event about this element
+       * @param {string} event
        */
-      private onHighlighted(): void;
+      private emit(event: string): void;
 
       /**
        * Shows the stage on the current element
@@ -302,13 +1069,21 @@ declare module 'driver.js' {
 
       /**
        * Shows the popover on current element if possible
+       * @return {Promise<void>} resolves once the popover is shown
        */
-      private showPopover(): void;
+      private showPopover(): Promise<void>;
 
       /**
        * Gets the full page size
        */
-      private getFullPageSize(): Driver.ElementSize;
+      private getFullPageSize(): Driver.ElementSize;
+
+      /**
+       * Checks if the given event happened on the element, also inside shadow roots
+       * @param {Event} event
+       * @return {boolean}
+       */
+      public containsEvent(event: Event): boolean;
 
       /**
        * Checks if the current element is same as passed element
@@ -345,16 +1120,18 @@ declare module 'driver.js' {
       private addHighlightClasses(): void;
 
       /**
-       * Walks through the parents of the current element and fixes
+       * Walks through the parents of the given node and fixes
        * the stacking context
+       * @param {Node | HTMLElement} node
        */
-      private fixStackingContext(): void;
+      private fixStackingContext(node: Node | HTMLElement): void;
 
       /**
-       * Checks if we can make the current element relative or not
+       * Checks if we can make the given node relative or not
+       * @param {Node | HTMLElement} node
        * @return {boolean}
        */
-      private canMakeRelative(): boolean;
+      private canMakeRelative(node: Node | HTMLElement): boolean;
 
       /**
        * Get current element's CSS attribute value
@@ -369,6 +1146,11 @@ declare module 'driver.js' {
        */
       private options: Driver.DriverOptions;
 
+      /**
+       * Notifies the listeners of the reset event
+       */
+      private emitter: Driver.Emitter;
+
       /**
        * Refers to currently highlighted element
        */
@@ -379,11 +1161,21 @@ declare module 'driver.js' {
        */
       private lastHighlightedElement: Driver.Element | null;
 
+      /**
+       * Refers to element waiting for onHighlightStarted() to settle
+       */
+      private pendingElement: Driver.Element | null;
+
       /**
        * Refers to timeout handler used to animate while resetting
        */
       private hideTimer: number | null;
 
+      /**
+       * Scroll positions of the page and containers before they were scrolled to highlight
+       */
+      private scrollPositions: Array<{ node: Window | HTMLElement, top: number, left: number }>;
+
       /**
        * Refers to global object Window
        */
@@ -402,8 +1194,17 @@ declare module 'driver.js' {
       /**
        * Highlights the given Element while resetting the existing one
        * @param {Driver.Element} element
+       * @param {Function} onStart called right before the element is highlighted,
+       * unless onHighlightStarted rejects
+       * @return {Promise<void>} resolves once the element is highlighted
+       */
+      public highlight(element: Driver.Element, onStart?: () => void): Promise<void>;
+
+      /**
+       * Deselects the current element and highlights the given one
+       * @param {Driver.Element} element
        */
-      public highlight(element: Driver.Element): void;
+      private completeHighlight(element: Driver.Element): Promise<void>;
 
       /**
        * Shows the overlay while appending to body if it is not there already
@@ -422,6 +1223,12 @@ declare module 'driver.js' {
        */
       public getLastHighlightedElement(): Driver.Element | null;
 
+      /**
+       * Checks if an element is waiting for its onHighlightStarted to settle
+       * @return {boolean}
+       */
+      public isHighlightPending(): boolean;
+
       /**
        * Removes the overlay and deselects the highlighted element. Does that with animation
        * by default or without animation if immediate is set to false
@@ -429,6 +1236,17 @@ declare module 'driver.js' {
        */
       public clear(immediate?: boolean): void;
 
+      /**
+       * Remembers the scroll positions of the given nodes if not remembered already
+       * @param {Array<Window | HTMLElement>} nodes
+       */
+      public rememberScrollPositions(nodes: Array<Window | HTMLElement>): void;
+
+      /**
+       * Scrolls the page and containers back to the remembered positions
+       */
+      private restoreScrollPositions(): void;
+
       /**
        * Removes the overlay node if it exists
        */
@@ -450,6 +1268,14 @@ declare module 'driver.js' {
       private nextBtnNode: Node | HTMLElement;
       private prevBtnNode: Node | HTMLElement;
       private closeBtnNode: Node | HTMLElement;
+      private progressNode: Node | HTMLElement;
+      private navigationBtnsNode: Node | HTMLElement;
+      private customBtnsLeftNode: Node | HTMLElement;
+      private customBtnsRightNode: Node | HTMLElement;
+      private hintNode: Node | HTMLElement;
+      private isProceedBlocked: boolean;
+      private idSuffix: string;
+      private padding: Driver.Padding;
       private window: Window;
       private document: Document;
 
@@ -457,10 +1283,12 @@ declare module 'driver.js' {
        * @param {Driver.PopoverOptions} options
        * @param {Window} window
        * @param {Document} document
+       * @param {string} idSuffix
        */
       constructor(options: Driver.PopoverOptions,
                   window: Window,
-                  document: Document);
+                  document: Document,
+                  idSuffix?: string);
 
       /**
        * Prepares the DOM element for popover and appends to the body
@@ -483,11 +1311,70 @@ declare module 'driver.js' {
        */
       public show(position: Driver.Position): void;
 
+      /**
+       * Moves the shown popover around the given position
+       * @param {Driver.Position} position
+       */
+      public reposition(position: Driver.Position): void;
+
       /**
        * Renders the buttons in the footer of the popover
        */
       private renderFooter(): void;
 
+      /**
+       * Disables the next button and shows the hint while moving next is blocked
+       * @param {boolean} isBlocked
+       */
+      public setProceedBlocked(isBlocked: boolean): void;
+
+      /**
+       * Renders the next button and the hint as per the proceed state
+       */
+      private renderProceedState(): void;
+
+      /**
+       * Checks if the given built-in button is to be shown
+       * @param {string} button
+       * @return {boolean}
+       */
+      private isButtonShown(button: 'next' | 'previous' | 'close'): boolean;
+
+      /**
+       * Renders the buttons given in the options on either side of the footer
+       * @return {boolean} If there are any buttons
+       */
+      private renderCustomButtons(): boolean;
+
+      /**
+       * Gets the button given in the options at the given index
+       * @param {number} buttonIndex
+       * @return {Driver.PopoverButton | null}
+       */
+      public getButton(buttonIndex: number): Driver.PopoverButton | null;
+
+      /**
+       * Lets the `renderPopover` option change the rendered popover
+       * or replace it with the node that it returns
+       */
+      private renderCustom(): void;
+
+      /**
+       * Renders the progress of the steps in the footer
+       * @return {boolean} If the progress is shown or not
+       */
+      private renderProgress(): boolean;
+
+      /**
+       * Moves the focus to the popover
+       */
+      public focus(): void;
+
+      /**
+       * Announces the current step through the live region
+       */
+      private announceStep(): void;
+
       /**
        * Positions the popover to the left of the given element position
        * @param {Driver.Position} position
@@ -567,10 +1454,52 @@ declare module 'driver.js' {
       private positionOnMidCenter(position: Driver.Position): void;
 
       /**
-       * Positions the popover automatically around the element position
+       * Positions the popover on the given placement around the element position
+       * @param {string} placement
+       * @param {Driver.Position} position
+       */
+      private positionOn(placement: string, position: Driver.Position): void;
+
+      /**
+       * Positions the popover on the first of the given placements that keeps it in view
+       * @param {Driver.Position} position
+       * @param {Array<string>} placements
+       */
+      private autoPosition(position: Driver.Position, placements: Array<string>): void;
+
+      /**
+       * Moves the popover along the element side so that it does not overflow the viewport
+       * @param {string} placement
+       * @param {Driver.Position} viewport
+       * @param {Driver.ElementSize} popoverSize
+       */
+      private shiftInView(placement: string, viewport: Driver.Position, popoverSize: Driver.ElementSize): void;
+
+      /**
+       * Moves the tip to point at the center of the element position
        * @param {Driver.Position} position
        */
-      private autoPosition(position: Driver.Position): void;
+      private positionTip(position: Driver.Position): void;
+
+      /**
+       * Gets the placement on the opposite side of the element
+       * @param {string} placement
+       * @return {string}
+       */
+      private getOppositePlacement(placement: string): string;
+
+      /**
+       * Gets the position of the popover on the page
+       * @param {Driver.ElementSize} popoverSize
+       * @return {Driver.Position}
+       */
+      private getPopoverPosition(popoverSize: Driver.ElementSize): Driver.Position;
+
+      /**
+       * Gets the visible part of the page
+       * @return {Driver.Position}
+       */
+      private getViewportPosition(): Driver.Position;
 
       /**
        * Gets the title node for popover
@@ -590,10 +1519,12 @@ declare module 'driver.js' {
        * @param {Driver.StageOptions} options
        * @param {Window} window
        * @param {Document} document
+       * @param {number} stageIndex
        */
       constructor(options: Driver.StageOptions,
                   window: Window,
-                  document: Document);
+                  document: Document,
+                  stageIndex?: number);
 
       /**
        * Prepares the node and appends to body if not there already
@@ -615,6 +1546,49 @@ declare module 'driver.js' {
        * @param {Driver.Position} position
        */
       public show(position: Driver.Position): void;
+
+      /**
+       * Gets the box to be left uncovered around the given position
+       * after applying the padding, the shape and the radius
+       * @param {Driver.Position} position
+       * @return {Driver.Cutout}
+       */
+      public getCutout(position: Driver.Position): Driver.Cutout;
+
+      /**
+       * Gets the corner radius for the given side length
+       * @param {number} size
+       * @return {number}
+       */
+      private getRadius(size: number): number;
+    }
+
+    class Shield extends Stage {
+      /**
+       * Covers the given position along with the padding around it
+       * @param {Driver.Position} position
+       */
+      public show(position: Driver.Position): void;
+    }
+
+    class SvgStage extends Stage {
+      /**
+       * Path of the overlay with the cutouts
+       */
+      private pathNode: SVGPathElement;
+
+      /**
+       * Covers the page leaving the cutouts at the given positions
+       * @param {Driver.Position | Array<Driver.Position>} positions
+       */
+      public show(positions: Driver.Position | Array<Driver.Position>): void;
+
+      /**
+       * Gets the path of the cutout around the given position
+       * @param {Driver.Position} position
+       * @return {string}
+       */
+      private getCutoutPath(position: Driver.Position): string;
     }
 
     class Position {
@@ -636,11 +1610,41 @@ declare module 'driver.js' {
        */
       canHighlight(): boolean;
 
+      /**
+       * Gets the area of this position that lies inside the given position
+       * @param {Driver.Position} position
+       * @return {number}
+       */
+      getAreaInside(position: Driver.Position): number;
+
+      /**
+       * Checks if this position lies completely inside the given position
+       * @param {Driver.Position} position
+       * @return {boolean}
+       */
+      isInside(position: Driver.Position): boolean;
+
       /**
        * Checks if the given position is same as the passed position
        * @param {Driver.Position} position
        */
-      equals(position: Driver.Position): void;
+      equals(position: Driver.Position): boolean;
+    }
+
+    interface Padding {
+      top?: number;
+      right?: number;
+      bottom?: number;
+      left?: number;
+    }
+
+    interface Cutout {
+      left: number;
+      top: number;
+      width: number;
+      height: number;
+      radiusX: number;
+      radiusY: number;
     }
 
     interface ScreenCoordinates {
@@ -665,10 +1669,15 @@ declare module 'driver.js' {
       description: string;
 
       /**
-       * Whether to show control buttons or not
+       * Whether to show control buttons or not, or the ones to show
        * @default true
        */
-      showButtons?: boolean;
+      showButtons?: boolean | Array<'next' | 'previous' | 'close'>;
+
+      /**
+       * Extra buttons in the footer of the popover
+       */
+      buttons?: Array<Driver.PopoverButton>;
 
       /**
        * Text on the button in the final step
@@ -724,12 +1733,61 @@ declare module 'driver.js' {
        */
       isLast?: boolean;
 
+      /**
+       * Whether the popover is a modal dialog, the popovers of the
+       * beacons are not and don't announce the steps
+       * @default true
+       */
+      isModal?: boolean;
+
       /**
        * Position for the popover on element
        * @default auto
        */
       position?: string;
 
+      /**
+       * Positions to try when the popover does not fit in the viewport on `position`,
+       * the opposite side is tried if not given
+       */
+      fallbackPositions?: Array<string>;
+
+      /**
+       * Changes the rendered popover, or returns a node to be rendered
+       * instead of everything in the popover but the tip
+       */
+      renderPopover?: (context: Driver.PopoverRenderContext) => Node | HTMLElement | void;
+
+      /**
+       * Text announced to screen readers when the step is shown,
+       * return nothing to not announce the steps
+       * @default (current, total) => `Step ${current} of ${total}`
+       */
+      stepAnnouncement?: (current: number, total: number) => string;
+
+      /**
+       * Whether to show the progress of the steps in the footer
+       * @default false
+       */
+      showProgress?: boolean;
+
+      /**
+       * How to show the progress, dots can be clicked to go to the step
+       * @default 'text'
+       */
+      progressType?: 'text' | 'dots' | 'bar';
+
+      /**
+       * Text for the progress
+       * @default (current, total) => `${current} of ${total}`
+       */
+      progressText?: (current: number, total: number) => string;
+
+      /**
+       * Indexes of the steps counted in the progress
+       */
+      stepIndexes?: Array<number>;
+
       /**
        * className for the popover on element
        */
@@ -751,10 +1809,24 @@ declare module 'driver.js' {
       opacity?: number,
 
       /**
-       * Distance of elements corner from the edges of the overlay
+       * Distance of elements corner from the edges of the overlay,
+       * the same for all the sides or given for each side
        * @default 10
        */
-      padding?: number,
+      padding?: number | Driver.Padding,
+
+      /**
+       * Corner radius of the highlight in pixels or percent, or `inherit`
+       * to use the border radius of the highlighted element
+       * @default 2
+       */
+      stageRadius?: number | string,
+
+      /**
+       * Shape of the highlight, circle is drawn around the longer side
+       * @default 'rect'
+       */
+      stageShape?: 'rect' | 'circle' | 'ellipse',
 
       /**
        * Options to be passed to scrollIntoView if supported by browser
@@ -762,6 +1834,19 @@ declare module 'driver.js' {
        */
       scrollIntoViewOptions?: ScrollIntoViewOptions,
 
+      /**
+       * Whether to scroll the page and the scrollable containers
+       * back to where they were once driver is reset
+       * @default false
+       */
+      restoreScroll?: boolean,
+
+      /**
+       * Whether to keep the clicks, focus and hover from reaching the highlighted element
+       * @default false
+       */
+      disableActiveInteraction?: boolean,
+
       /**
        * Clicking outside the highlighted element should reset driver or not
        * @default true
@@ -774,6 +1859,12 @@ declare module 'driver.js' {
        */
       keyboardControl?: boolean,
 
+      /**
+       * Keys, matched against KeyboardEvent.key, for the keyboard actions
+       * @default { next: ['ArrowRight'], previous: ['ArrowLeft'], close: ['Escape'] }
+       */
+      keymap?: Driver.Keymap,
+
       /**
        * Clicking outside the highlighted element should move next
        * @default false
@@ -787,10 +1878,53 @@ declare module 'driver.js' {
       stageBackground?: string,
 
       /**
-       * Whether to show control buttons or not
+       * How to draw the overlay. `stage` brings the elements above the overlay with
+       * a stage behind them, `svg` cuts them out from an SVG covering the page
+       * without changing anything on the page
+       * @default 'stage'
+       */
+      overlayMode?: 'stage' | 'svg',
+
+      /**
+       * Whether to wait for the step elements not in the DOM yet
+       * @default false
+       */
+      waitForElement?: boolean,
+
+      /**
+       * Milliseconds to wait for the step element before skipping the step
+       * @default 5000
+       */
+      waitForElementTimeout?: number,
+
+      /**
+       * Whether to show control buttons or not, or the ones to show
        * @default true
        */
-      showButtons?: boolean;
+      showButtons?: boolean | Array<'next' | 'previous' | 'close'>;
+
+      /**
+       * Extra buttons in the footer of the popover
+       */
+      buttons?: Array<Driver.PopoverButton>;
+
+      /**
+       * Whether to show the progress of the steps in the popovers
+       * @default false
+       */
+      showProgress?: boolean;
+
+      /**
+       * How to show the progress, dots can be clicked to go to the step
+       * @default 'text'
+       */
+      progressType?: 'text' | 'dots' | 'bar';
+
+      /**
+       * Text for the progress
+       * @default (current, total) => `${current} of ${total}`
+       */
+      progressText?: (current: number, total: number) => string;
 
       /**
        * Text on the button in the final step
@@ -822,11 +1956,29 @@ declare module 'driver.js' {
       className?: string;
 
       /**
-       * Callback to be called when element is about to be highlighted
+       * Identifier of the tour, required to persist the progress
+       */
+      tourId?: string;
+
+      /**
+       * Whether to save the tour progress to the storage
+       * @default false
+       */
+      persist?: boolean;
+
+      /**
+       * Storage to save the progress in
+       * @default localStorage
+       */
+      storage?: Driver.StorageAdapter;
+
+      /**
+       * Callback to be called when element is about to be highlighted.
+       * If it returns a promise, driver waits for it before highlighting
        * @param {Driver.Element} element
        * @returns any
        */
-      onHighlightStarted?: (element: Driver.Element) => void;
+      onHighlightStarted?: (element: Driver.Element) => void | Promise<any>;
 
       /**
        * Callback to be called when element has been highlighted
@@ -848,14 +2000,128 @@ declare module 'driver.js' {
       onReset?: (element: Driver.Element) => void,
 
       /**
-       * Is called when the next element is about to be highlighted
+       * Is called when the next element is about to be highlighted.
+       * If it returns a promise, driver waits for it before moving
+       */
+      onNext?: (element: Driver.Element) => void | Promise<any>;
+
+      /**
+       * Is called when the previous element is about to be highlighted.
+       * If it returns a promise, driver waits for it before moving
+       */
+      onPrevious?: (element: Driver.Element) => void | Promise<any>;
+
+      /**
+       * Is called when the element of a step could not be found
+       */
+      onElementNotFound?: (step: Driver.Step | string | HTMLElement | Node) => void;
+
+      /**
+       * Changes the rendered popover, or returns a node to be rendered
+       * instead of everything in the popover but the tip
+       */
+      renderPopover?: (context: Driver.PopoverRenderContext) => Node | HTMLElement | void;
+    }
+
+    interface BeaconStep extends Driver.Step {
+      /**
+       * Where to put the beacon on the element e.g. `top-left`, `bottom-right` or `center`
+       * @default 'top-right'
+       */
+      beaconPosition?: 'top-left' | 'top-center' | 'top-right' | 'center-left' | 'center'
+        | 'center-right' | 'bottom-left' | 'bottom-center' | 'bottom-right';
+
+      /**
+       * Accessible label of the beacon
+       * @default 'Show hint'
+       */
+      beaconLabel?: string;
+
+      /**
+       * Is called when the popover of the beacon is opened
+       */
+      onOpen?: (beacon: Driver.Beacon) => void;
+
+      /**
+       * Is called when the popover of the beacon is closed
+       */
+      onClose?: (beacon: Driver.Beacon) => void;
+
+      /**
+       * Is called when the beacon is dismissed
+       */
+      onDismiss?: (beacon: Driver.Beacon) => void;
+    }
+
+    interface AdvanceOn {
+      /**
+       * Element to interact with, the highlighted element if not given
+       */
+      selector?: string;
+
+      /**
+       * Event to move next on
+       * @default 'click'
+       */
+      event?: string;
+
+      /**
+       * Whether to hide the next button of the step
+       * @default false
+       */
+      hideNext?: boolean;
+    }
+
+    interface PopoverButton {
+      /**
+       * Text on the button, may contain HTML
        */
-      onNext?: (element: Driver.Element) => void;
+      text: string;
 
       /**
-       * Is called when the previous element is about to be highlighted
+       * Classes to add to the button, classes of the built-in buttons
+       * give their behavior to the buttons without `onClick`
        */
-      onPrevious?: (element: Driver.Element) => void;
+      className?: string;
+
+      /**
+       * Side of the footer to show the button on
+       * @default 'left'
+       */
+      placement?: 'left' | 'right';
+
+      /**
+       * Is called when the button is clicked
+       */
+      onClick?: (context: Driver.ButtonClickContext) => void;
+    }
+
+    interface ButtonClickContext {
+      /**
+       * Driver of the step, not given for the beacons
+       */
+      driver?: Driver;
+
+      /**
+       * Beacon whose popover has the button, only for the beacons
+       */
+      beacon?: Driver.Beacon;
+      element: Driver.Element;
+      button: Driver.PopoverButton;
+      event: MouseEvent | TouchEvent;
+    }
+
+    interface PopoverRenderContext {
+      node: HTMLElement;
+      titleNode: HTMLElement;
+      descriptionNode: HTMLElement;
+      footerNode: HTMLElement;
+      title: string;
+      description?: string;
+      currentIndex: number;
+      totalCount: number;
+      isFirst: boolean;
+      isLast: boolean;
     }
 
     interface ElementOptions extends Driver.DriverOptions {